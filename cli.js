@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+// Headless runner for the simulation core: loads a region from disk, runs N paths with a seed
+// and writes the road network (GeoJSON), its road graph and run statistics (JSON) to an output directory.
+//
+//   node cli.js --region china --paths 200 --seed 42 --out out/china
+//   node cli.js --map map.png --pgw map.pgw --cities cities.geojson --paths 50
+//   node cli.js --dem dem.tif --water-mask water.png --cities cities.geojson --paths 50
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const {
+    DEFAULT_COST_MODEL,
+    DEM_COST_MODEL,
+    sanitizeCostModel,
+    createSimulationState,
+    parsePgw,
+    validateWorldFile,
+    setRegionCities,
+    removeCitiesOutsideMap,
+    createCostGrid,
+    waterMaskFromRaster,
+    createDemCostGrid,
+    rasterizeRoadLines,
+    applyBaseRoads,
+    buildNetworkGeoJSON,
+    buildRoadGraph,
+    seedRandom,
+    simulateNextPath
+} = require('./simulation.js');
+const { isTiff, decodeGeoTiff } = require('./geotiff.js');
+
+const USAGE = `Usage: node cli.js [options]
+
+Region (either a manifest entry or explicit files):
+  --region <id>          Region id from the manifest
+  --manifest <file>      Region manifest (default: regions.json next to cli.js)
+  --map <file>           Greyscale elevation map (PNG)
+  --dem <file>           Elevation in metres (single-band GeoTIFF), instead of --map
+  --water-mask <file>    Water mask for the DEM (TIFF or PNG, water > 0 / bright); default: no-data cells
+  --pgw <file>           World file for the map; optional for a georeferenced DEM
+  --cities <file>        City points (GeoJSON)
+  --name-field <name>    City property holding the name (default: city_ascii, City or city)
+  --population-field <name>
+                         City property holding the population (default: population or Population)
+
+Simulation:
+  --paths <n>            Number of paths to run (default: 100)
+  --seed <n>             Random seed, 32-bit unsigned (default: random)
+  --algorithm <name>     dijkstra or astar (default: dijkstra)
+  --cost-model <json>    Cost model overrides, inline JSON or a path to a JSON file
+  --roads <file>         Existing roads (GeoJSON lines) to start the network from
+  --road-weight <n>      Initial usage of each imported road pixel (default: 48)
+
+Output:
+  --out <dir>            Output directory (default: out)
+  --snap-radius <px>     How far a city may be from the road to snap onto the graph (default: 5)
+  --simplify <px>        Douglas-Peucker tolerance for the exported lines (default: 0, every pixel)
+  --verbose              Print the simulation log
+  --help                 Show this message`;
+
+function parseArgs(argv) {
+    const flags = new Set(['verbose', 'help']);
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+        const name = arg.slice(2);
+        if (flags.has(name)) {
+            options[name] = true;
+        } else {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options[name] = argv[++i];
+        }
+    }
+    return options;
+}
+
+// Minimal PNG decoder (8/16-bit, non-interlaced, all colour types) returning RGBA like getImageData
+function decodePng(buffer) {
+    const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+    if (buffer.length < 8 || signature.some((byte, i) => buffer[i] !== byte)) {
+        throw new Error('Not a PNG file.');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idatChunks = [];
+    let offset = 8;
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length; // Length, type, data and CRC
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idatChunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) {
+        throw new Error('PNG has no IHDR chunk.');
+    }
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channelsByType = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+    const channels = channelsByType[colorType];
+    if (!channels || interlace !== 0 || (bitDepth !== 8 && !(bitDepth === 16 && colorType !== 3))) {
+        throw new Error(`Unsupported PNG format (colour type ${colorType}, bit depth ${bitDepth}, interlace ${interlace}).`);
+    }
+
+    const bytesPerPixel = channels * bitDepth / 8;
+    const stride = width * bytesPerPixel;
+    const raw = zlib.inflateSync(Buffer.concat(idatChunks));
+    const pixels = Buffer.alloc(stride * height);
+    let previous = Buffer.alloc(stride);
+
+    // Undo the per-scanline filters
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const current = pixels.subarray(y * stride, (y + 1) * stride);
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            let predictor;
+            if (filter === 0) {
+                predictor = 0;
+            } else if (filter === 1) {
+                predictor = left;
+            } else if (filter === 2) {
+                predictor = up;
+            } else if (filter === 3) {
+                predictor = (left + up) >> 1;
+            } else if (filter === 4) { // Paeth
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                predictor = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+            } else {
+                throw new Error(`Invalid PNG filter type ${filter} on row ${y}.`);
+            }
+            current[i] = (line[i] + predictor) & 0xFF;
+        }
+        previous = current;
+    }
+
+    // Expand to RGBA, keeping the high byte of 16-bit samples
+    const data = new Uint8ClampedArray(width * height * 4);
+    const sampleStep = bitDepth / 8;
+    for (let p = 0; p < width * height; p++) {
+        const base = p * bytesPerPixel;
+        const sample = channel => pixels[base + channel * sampleStep];
+        const out = p * 4;
+        if (colorType === 0) {
+            data[out] = data[out + 1] = data[out + 2] = sample(0);
+            data[out + 3] = 255;
+        } else if (colorType === 2) {
+            data[out] = sample(0);
+            data[out + 1] = sample(1);
+            data[out + 2] = sample(2);
+            data[out + 3] = 255;
+        } else if (colorType === 3) {
+            const index = sample(0);
+            data[out] = palette[index * 3];
+            data[out + 1] = palette[index * 3 + 1];
+            data[out + 2] = palette[index * 3 + 2];
+            data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        } else if (colorType === 4) {
+            data[out] = data[out + 1] = data[out + 2] = sample(0);
+            data[out + 3] = sample(1);
+        } else {
+            data[out] = sample(0);
+            data[out + 1] = sample(1);
+            data[out + 2] = sample(2);
+            data[out + 3] = sample(3);
+        }
+    }
+
+    return { width, height, data };
+}
+
+function readPgw(file) {
+    try {
+        return parsePgw(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+function readCostModelOption(value) {
+    const text = fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid --cost-model: ${error.message}`);
+    }
+}
+
+// Resolve the region files and default cost model from the manifest and/or explicit paths
+function resolveRegion(options) {
+    let region = { id: 'custom', cities: null, map: null, dem: null, waterMask: null, pgw: null, costModel: {}, cityFields: {} };
+
+    if (options.region) {
+        const manifestPath = options.manifest || path.join(__dirname, 'regions.json');
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        const entry = manifest.regions.find(r => r.id === options.region);
+        if (!entry) {
+            const known = manifest.regions.map(r => r.id).join(', ');
+            throw new Error(`Unknown region "${options.region}" (known: ${known})`);
+        }
+        const baseDir = path.dirname(manifestPath);
+        const resolve = file => (file ? path.resolve(baseDir, file) : null);
+        region = {
+            id: entry.id,
+            cities: resolve(entry.cities),
+            map: resolve(entry.map),
+            dem: resolve(entry.dem),
+            waterMask: resolve(entry.waterMask),
+            pgw: resolve(entry.pgw),
+            costModel: entry.costModel || {},
+            cityFields: entry.cityFields || {}
+        };
+    }
+    if (options['name-field']) {
+        region.cityFields = { ...region.cityFields, name: options['name-field'] };
+    }
+    if (options['population-field']) {
+        region.cityFields = { ...region.cityFields, population: options['population-field'] };
+    }
+
+    // An explicit terrain file replaces the manifest's, whichever kind it is
+    if (options.map) {
+        region.dem = region.waterMask = null;
+    } else if (options.dem) {
+        region.map = null;
+    }
+    ['map', 'dem', 'pgw', 'cities'].forEach(key => {
+        if (options[key]) {
+            region[key] = path.resolve(options[key]);
+        }
+    });
+    if (options['water-mask']) {
+        region.waterMask = path.resolve(options['water-mask']);
+    }
+
+    // A DEM may carry its own georeferencing, so its PGW is checked once it is decoded
+    const required = region.dem ? ['cities'] : ['map', 'pgw', 'cities'];
+    required.forEach(key => {
+        if (!region[key]) {
+            throw new Error(`No ${key} file: pass --region or --${key}`);
+        }
+    });
+    return region;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const pathCount = options.paths !== undefined ? Number(options.paths) : 100;
+    if (!Number.isInteger(pathCount) || pathCount < 0) {
+        throw new Error(`--paths must be a non-negative integer, got "${options.paths}"`);
+    }
+    const seed = options.seed !== undefined ? Number(options.seed) : Math.floor(Math.random() * 4294967296);
+    if (!Number.isInteger(seed) || seed < 0 || seed > 4294967295) {
+        throw new Error(`--seed must be an integer from 0 to 4294967295, got "${options.seed}"`);
+    }
+    const algorithm = options.algorithm || 'dijkstra';
+    if (algorithm !== 'dijkstra' && algorithm !== 'astar') {
+        throw new Error(`--algorithm must be dijkstra or astar, got "${algorithm}"`);
+    }
+    const roadWeight = options['road-weight'] !== undefined ? Number(options['road-weight']) : 48;
+    if (!Number.isInteger(roadWeight) || roadWeight < 1 || roadWeight > 65535) {
+        throw new Error(`--road-weight must be an integer from 1 to 65535, got "${options['road-weight']}"`);
+    }
+    const snapRadius = options['snap-radius'] !== undefined ? Number(options['snap-radius']) : 5;
+    if (!Number.isInteger(snapRadius) || snapRadius < 0) {
+        throw new Error(`--snap-radius must be a non-negative integer, got "${options['snap-radius']}"`);
+    }
+    const tolerance = options.simplify !== undefined ? Number(options.simplify) : 0;
+    if (!(tolerance >= 0)) {
+        throw new Error(`--simplify must be a non-negative number, got "${options.simplify}"`);
+    }
+    const outDir = path.resolve(options.out || 'out');
+    const region = resolveRegion(options);
+
+    const state = createSimulationState({
+        log: options.verbose ? message => console.log(message) : () => {}
+    });
+    state.currentRegion = region.id;
+    state.searchAlgorithm = algorithm;
+    const defaults = region.dem ? DEM_COST_MODEL : DEFAULT_COST_MODEL;
+    state.regionCostModel = { ...defaults, ...sanitizeCostModel(region.costModel, defaults) };
+    state.costModel = { ...state.regionCostModel };
+    if (options['cost-model']) {
+        state.costModel = { ...state.costModel, ...sanitizeCostModel(readCostModelOption(options['cost-model']), state.costModel) };
+    }
+
+    console.log(`Loading region ${region.id}...`);
+    if (region.dem) {
+        const inflate = async bytes => zlib.inflateSync(bytes);
+        const dem = await decodeGeoTiff(fs.readFileSync(region.dem), { inflate });
+        if (!region.pgw && !dem.pgw) {
+            throw new Error(`${region.dem} has no georeferencing: pass --pgw`);
+        }
+        state.pgw = region.pgw ? readPgw(region.pgw) : validateWorldFile(dem.pgw);
+        if (dem.geoKeys.modelType === 1) {
+            console.warn('Warning: the DEM uses a projected CRS; cities and exports assume longitude/latitude.');
+        }
+        let waterMask = null;
+        if (region.waterMask) {
+            const bytes = fs.readFileSync(region.waterMask);
+            const raster = isTiff(bytes) ? await decodeGeoTiff(bytes, { inflate }) : decodePng(bytes);
+            if (raster.width !== dem.width || raster.height !== dem.height) {
+                throw new Error(`Water mask is ${raster.width}x${raster.height}, the DEM is ${dem.width}x${dem.height}`);
+            }
+            waterMask = waterMaskFromRaster(raster);
+        }
+        setRegionCities(state, JSON.parse(fs.readFileSync(region.cities, 'utf8')), region.cityFields);
+        createDemCostGrid(state, dem, waterMask);
+    } else {
+        state.pgw = readPgw(region.pgw);
+        setRegionCities(state, JSON.parse(fs.readFileSync(region.cities, 'utf8')), region.cityFields);
+        const image = decodePng(fs.readFileSync(region.map));
+        state.map.width = image.width;
+        state.map.height = image.height;
+        state.map.imageData = image;
+        createCostGrid(state);
+    }
+    const outside = removeCitiesOutsideMap(state);
+    if (outside.length > 0) {
+        console.warn(`Warning: ${outside.length} cities lie outside the map and were left out:`);
+        outside.forEach(city => console.warn(`  ${city.name} (${city.lon}, ${city.lat})`));
+    }
+    console.log(`Loaded ${state.cities.length} cities and a ${state.map.width}x${state.map.height} cost grid.`);
+
+    if (options.roads) {
+        const { paths, lineCount, skippedFeatures } = rasterizeRoadLines(state, JSON.parse(fs.readFileSync(options.roads, 'utf8')));
+        state.baseRoads = { paths, weight: roadWeight };
+        const pixelCount = applyBaseRoads(state);
+        console.log(`Imported ${lineCount} road lines as ${paths.length} pieces over ${pixelCount} pixels` +
+            (skippedFeatures > 0 ? ` (skipped ${skippedFeatures} non-line features)` : '') + '.');
+    }
+
+    seedRandom(state, seed);
+    console.log(`Running ${pathCount} paths (${algorithm}, seed ${state.seed})...`);
+    if (algorithm === 'astar') {
+        console.log(`Note: A* finds the same paths as Dijkstra, but steep descents may cost as little as minMoveCost (${state.costModel.minMoveCost}), ` +
+            'so its estimate stays low: under the default cost model it runs at near-Dijkstra speed.');
+    }
+
+    const results = [];
+    const startTime = performance.now();
+    for (let i = 0; i < pathCount; i++) {
+        const pathStart = performance.now();
+        const result = await simulateNextPath(state);
+        if (!result) {
+            console.log(`Path ${i + 1}: no valid city pair or path, skipped.`);
+            continue;
+        }
+        const timeMs = performance.now() - pathStart;
+        results.push({ ...result, timeMs });
+        console.log(`Path ${i + 1}/${pathCount}: ${result.startCity.name} -> ${result.endCity.name} | ` +
+            `${result.geometricLength.toFixed(1)} px, ${result.lengthKm.toFixed(0)} km | ${result.efficiency.toFixed(2)}x | ${timeMs.toFixed(0)}ms`);
+    }
+    const totalTimeMs = performance.now() - startTime;
+
+    // Same shape as the browser export, with usage read from the final road grid
+    const { roadUsageGrid } = state.map;
+    const network = buildNetworkGeoJSON(state, results.map(({ path: pixels, startCity, endCity, efficiency }) => ({
+        path: pixels,
+        usage: pixels.map(pixelIndex => roadUsageGrid[pixelIndex]),
+        startCity: startCity.name,
+        endCity: endCity.name,
+        efficiency
+    })), { tolerance });
+
+    const baseRoadPaths = state.baseRoads ? state.baseRoads.paths : [];
+    const graph = buildRoadGraph(state, baseRoadPaths.concat(results.map(r => r.path)), { snapRadius, tolerance });
+
+    let roadPixels = 0;
+    let maxUsage = 0;
+    for (let i = 0; i < roadUsageGrid.length; i++) {
+        if (roadUsageGrid[i] > 0) {
+            roadPixels++;
+            maxUsage = Math.max(maxUsage, roadUsageGrid[i]);
+        }
+    }
+    const totalLength = results.reduce((sum, r) => sum + r.geometricLength, 0);
+    const totalLengthKm = results.reduce((sum, r) => sum + r.lengthKm, 0);
+    const pathPixels = results.reduce((sum, r) => sum + r.path.length, 0);
+    const waterPixels = results.reduce((sum, r) => sum + r.waterPixels, 0);
+    const stats = {
+        region: region.id,
+        seed: state.seed,
+        rngState: state.rngState,
+        searchAlgorithm: algorithm,
+        costModel: state.costModel,
+        map: { width: state.map.width, height: state.map.height, elevationUnit: state.map.elevationUnit },
+        citiesOutsideMap: outside.map(city => city.name),
+        requestedPaths: pathCount,
+        completedPaths: results.length,
+        totalTimeMs: Number(totalTimeMs.toFixed(1)),
+        totalLengthPx: Number(totalLength.toFixed(2)),
+        totalLengthKm: Number(totalLengthKm.toFixed(1)),
+        meanEfficiency: results.length > 0
+            ? Number((results.reduce((sum, r) => sum + r.efficiency, 0) / results.length).toFixed(4))
+            : null,
+        meanSteps: results.length > 0
+            ? Number((results.reduce((sum, r) => sum + r.steps, 0) / results.length).toFixed(1))
+            : null,
+        pathWaterShare: pathPixels > 0 ? Number((waterPixels / pathPixels).toFixed(4)) : null,
+        importedRoadPieces: baseRoadPaths.length,
+        roadPixels,
+        maxUsage,
+        graphNodes: graph.nodes.length,
+        graphEdges: graph.edges.length,
+        paths: results.map(r => ({
+            startCity: r.startCity.name,
+            endCity: r.endCity.name,
+            lengthPx: Number(r.geometricLength.toFixed(2)),
+            lengthKm: Number(r.lengthKm.toFixed(2)),
+            efficiency: Number(r.efficiency.toFixed(4)),
+            steps: r.steps,
+            waterPixels: r.waterPixels,
+            timeMs: Number(r.timeMs.toFixed(1))
+        }))
+    };
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'network.geojson'), JSON.stringify(network));
+    fs.writeFileSync(path.join(outDir, 'graph.json'), JSON.stringify(graph));
+    fs.writeFileSync(path.join(outDir, 'stats.json'), JSON.stringify(stats, null, 2));
+    console.log(`Done: ${results.length} paths in ${(totalTimeMs / 1000).toFixed(1)}s. Wrote network.geojson, graph.json and stats.json to ${outDir}`);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
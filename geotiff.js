@@ -0,0 +1,372 @@
+// Minimal GeoTIFF reader for single-band elevation rasters, shared by the worker (importScripts)
+// and the Node CLI (require). Handles classic TIFF in either byte order, strips or tiles, no/LZW/
+// deflate/PackBits compression, the horizontal and floating point predictors, and integer or float
+// samples. Deflate is left to the host through an inflate(Uint8Array) => Promise<Uint8Array> hook.
+
+const TIFF_TAGS = {
+    imageWidth: 256,
+    imageLength: 257,
+    bitsPerSample: 258,
+    compression: 259,
+    stripOffsets: 273,
+    samplesPerPixel: 277,
+    rowsPerStrip: 278,
+    stripByteCounts: 279,
+    planarConfiguration: 284,
+    predictor: 317,
+    tileWidth: 322,
+    tileLength: 323,
+    tileOffsets: 324,
+    tileByteCounts: 325,
+    sampleFormat: 339,
+    modelPixelScale: 33550,
+    modelTiepoint: 33922,
+    modelTransformation: 34264,
+    geoKeyDirectory: 34735,
+    gdalNoData: 42113
+};
+
+// Byte size of each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const GEO_KEYS = {
+    modelType: 1024, // 1 projected, 2 geographic
+    rasterType: 1025, // 1 pixel is area, 2 pixel is point
+    geographicType: 2048,
+    projectedType: 3072
+};
+
+function isTiff(bytes) {
+    return bytes.length >= 4 &&
+        ((bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 42 && bytes[3] === 0) ||
+         (bytes[0] === 0x4D && bytes[1] === 0x4D && bytes[2] === 0 && bytes[3] === 42));
+}
+
+// Tag id -> array of values, for the first image in the file
+function readTiffTags(view, littleEndian) {
+    const tags = new Map();
+    const ifdOffset = view.getUint32(4, littleEndian);
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+
+    for (let i = 0; i < entryCount; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const count = view.getUint32(entry + 4, littleEndian);
+        const size = TIFF_TYPE_SIZES[type];
+        if (!size) continue; // Unknown field types can be skipped
+
+        const offset = count * size <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+        if (type === 2) {
+            let text = '';
+            for (let j = 0; j < count; j++) {
+                const code = view.getUint8(offset + j);
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            tags.set(tag, [text]);
+            continue;
+        }
+
+        const values = [];
+        for (let j = 0; j < count; j++) {
+            const position = offset + j * size;
+            switch (type) {
+                case 1: case 7: values.push(view.getUint8(position)); break;
+                case 6: values.push(view.getInt8(position)); break;
+                case 3: values.push(view.getUint16(position, littleEndian)); break;
+                case 8: values.push(view.getInt16(position, littleEndian)); break;
+                case 4: values.push(view.getUint32(position, littleEndian)); break;
+                case 9: values.push(view.getInt32(position, littleEndian)); break;
+                case 5: values.push(view.getUint32(position, littleEndian) / view.getUint32(position + 4, littleEndian)); break;
+                case 10: values.push(view.getInt32(position, littleEndian) / view.getInt32(position + 4, littleEndian)); break;
+                case 11: values.push(view.getFloat32(position, littleEndian)); break;
+                case 12: values.push(view.getFloat64(position, littleEndian)); break;
+            }
+        }
+        tags.set(tag, values);
+    }
+    return tags;
+}
+
+// TIFF flavour of LZW: MSB-first codes of 9 to 12 bits, widened one code early
+function decodeTiffLzw(input, expectedLength) {
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const lengths = new Uint16Array(4096);
+    const firstBytes = new Uint8Array(4096);
+    for (let i = 0; i < 256; i++) {
+        prefix[i] = -1;
+        suffix[i] = i;
+        lengths[i] = 1;
+        firstBytes[i] = i;
+    }
+
+    let output = new Uint8Array(expectedLength);
+    let outputLength = 0;
+    const write = code => {
+        const length = lengths[code];
+        if (outputLength + length > output.length) {
+            const grown = new Uint8Array(Math.max(output.length * 2, outputLength + length));
+            grown.set(output);
+            output = grown;
+        }
+        // Walk exactly length entries, so a corrupt table cannot send this round a loop
+        let position = outputLength + length - 1;
+        for (let c = code, i = 0; i < length; c = prefix[c], i++) {
+            output[position--] = suffix[c];
+        }
+        outputLength += length;
+    };
+
+    let nextCode = 258;
+    let codeLength = 9;
+    let previous = -1;
+    let bitPosition = 0;
+    const totalBits = input.length * 8;
+    while (bitPosition + codeLength <= totalBits) {
+        let code = 0;
+        for (let i = 0; i < codeLength; i++, bitPosition++) {
+            code = (code << 1) | ((input[bitPosition >> 3] >> (7 - (bitPosition & 7))) & 1);
+        }
+        if (code === 257) break; // End of information
+        if (code === 256) { // Clear
+            nextCode = 258;
+            codeLength = 9;
+            previous = -1;
+            continue;
+        }
+        // Entries left from before a clear are stale, so only codes up to the next new one are valid
+        if (code > nextCode || (previous === -1 && code >= 258)) {
+            throw new Error(`Corrupt LZW data: unexpected code ${code}.`);
+        }
+        if (previous === -1) {
+            write(code);
+            previous = code;
+            continue;
+        }
+
+        if (nextCode < 4096) {
+            // The new entry is the previous string plus the first byte of this one, which for a
+            // code not in the table yet is the previous string's own first byte
+            prefix[nextCode] = previous;
+            suffix[nextCode] = code < nextCode ? firstBytes[code] : firstBytes[previous];
+            lengths[nextCode] = lengths[previous] + 1;
+            firstBytes[nextCode] = firstBytes[previous];
+            nextCode++;
+        }
+        write(code);
+        previous = code;
+        if (nextCode >= (1 << codeLength) - 1 && codeLength < 12) {
+            codeLength++;
+        }
+    }
+    return output.subarray(0, outputLength);
+}
+
+function decodePackBits(input, expectedLength) {
+    const output = new Uint8Array(expectedLength);
+    let outputLength = 0;
+    for (let i = 0; i < input.length && outputLength < expectedLength;) {
+        const header = (input[i++] << 24) >> 24; // Signed byte
+        if (header >= 0) {
+            output.set(input.subarray(i, i + header + 1), outputLength);
+            outputLength += header + 1;
+            i += header + 1;
+        } else if (header !== -128) {
+            output.fill(input[i++], outputLength, outputLength + 1 - header);
+            outputLength += 1 - header;
+        }
+    }
+    return output;
+}
+
+// Undo the horizontal predictor in place: each sample was stored as the difference from its left neighbour
+function undoHorizontalPredictor(bytes, width, rows, bytesPerSample, littleEndian) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const rowBytes = width * bytesPerSample;
+    for (let row = 0; row < rows; row++) {
+        const start = row * rowBytes;
+        for (let x = 1; x < width; x++) {
+            const position = start + x * bytesPerSample;
+            if (bytesPerSample === 1) {
+                bytes[position] += bytes[position - 1];
+            } else if (bytesPerSample === 2) {
+                view.setUint16(position, view.getUint16(position, littleEndian) + view.getUint16(position - 2, littleEndian), littleEndian);
+            } else {
+                view.setUint32(position, view.getUint32(position, littleEndian) + view.getUint32(position - 4, littleEndian), littleEndian);
+            }
+        }
+    }
+}
+
+// Undo the floating point predictor: bytes were split into planes, most significant first, then differenced
+function undoFloatPredictor(bytes, width, rows, bytesPerSample, littleEndian) {
+    const rowBytes = width * bytesPerSample;
+    const row = new Uint8Array(rowBytes);
+    for (let r = 0; r < rows; r++) {
+        const start = r * rowBytes;
+        for (let i = 1; i < rowBytes; i++) {
+            bytes[start + i] += bytes[start + i - 1];
+        }
+        row.set(bytes.subarray(start, start + rowBytes));
+        for (let x = 0; x < width; x++) {
+            for (let plane = 0; plane < bytesPerSample; plane++) {
+                // Plane 0 holds the most significant bytes
+                const target = littleEndian ? bytesPerSample - 1 - plane : plane;
+                bytes[start + x * bytesPerSample + target] = row[plane * width + x];
+            }
+        }
+    }
+}
+
+// Pixel (column, row) to model coordinates as a world file: {a, b, c, d, e, f} with c/f at the
+// centre of the top-left pixel. Null when the file carries no georeferencing.
+function readGeoTransform(tags, geoKeys) {
+    // With "pixel is area" (the default) the model coordinates refer to pixel corners
+    const centreOffset = geoKeys.rasterType === 2 ? 0 : 0.5;
+
+    const transformation = tags.get(TIFF_TAGS.modelTransformation);
+    if (transformation && transformation.length >= 8) {
+        const [a, b, , c, d, e, , f] = transformation;
+        return { a, b, c: c + centreOffset * (a + b), d, e, f: f + centreOffset * (d + e) };
+    }
+
+    const scale = tags.get(TIFF_TAGS.modelPixelScale);
+    const tiepoint = tags.get(TIFF_TAGS.modelTiepoint);
+    if (scale && tiepoint && tiepoint.length >= 6) {
+        const [i, j, , x, y] = tiepoint;
+        const [scaleX, scaleY] = scale;
+        return {
+            a: scaleX,
+            b: 0,
+            c: x + (centreOffset - i) * scaleX,
+            d: 0,
+            e: -scaleY,
+            f: y - (centreOffset - j) * scaleY
+        };
+    }
+    return null;
+}
+
+function readGeoKeys(tags) {
+    const geoKeys = {};
+    const directory = tags.get(TIFF_TAGS.geoKeyDirectory);
+    if (!directory) return geoKeys;
+
+    const keyCount = directory[3];
+    for (let i = 0; i < keyCount; i++) {
+        const [keyId, location, , value] = directory.slice(4 + i * 4, 8 + i * 4);
+        const name = Object.keys(GEO_KEYS).find(key => GEO_KEYS[key] === keyId);
+        if (name && location === 0) { // Only short values stored in the directory itself are needed
+            geoKeys[name] = value;
+        }
+    }
+    return geoKeys;
+}
+
+// Decode the first image of a GeoTIFF: {width, height, data: Float32Array, noData, pgw, geoKeys}
+async function decodeGeoTiff(bytes, { inflate } = {}) {
+    if (!isTiff(bytes)) {
+        throw new Error('Not a TIFF file (BigTIFF is not supported).');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const littleEndian = bytes[0] === 0x49;
+    const tags = readTiffTags(view, littleEndian);
+    const tag = (id, fallback) => (tags.has(id) ? tags.get(id)[0] : fallback);
+
+    const width = tag(TIFF_TAGS.imageWidth);
+    const height = tag(TIFF_TAGS.imageLength);
+    const samplesPerPixel = tag(TIFF_TAGS.samplesPerPixel, 1);
+    const bitsPerSample = tag(TIFF_TAGS.bitsPerSample, 1);
+    const sampleFormat = tag(TIFF_TAGS.sampleFormat, 1); // 1 unsigned, 2 signed, 3 float
+    const compression = tag(TIFF_TAGS.compression, 1);
+    const predictor = tag(TIFF_TAGS.predictor, 1);
+    if (!width || !height) {
+        throw new Error('TIFF has no image size.');
+    }
+    if (samplesPerPixel !== 1) {
+        throw new Error(`Expected a single-band elevation raster, got ${samplesPerPixel} bands.`);
+    }
+    if (![8, 16, 32, 64].includes(bitsPerSample) || (sampleFormat === 3 && bitsPerSample < 32)) {
+        throw new Error(`Unsupported sample size: ${bitsPerSample}-bit ${sampleFormat === 3 ? 'float' : 'integer'}.`);
+    }
+    if ((compression === 8 || compression === 32946) && !inflate) {
+        throw new Error('Deflate-compressed TIFF needs an inflate function.');
+    }
+    if (![1, 5, 8, 32773, 32946].includes(compression)) {
+        throw new Error(`Unsupported TIFF compression ${compression}.`);
+    }
+
+    // Strips are tiles as wide as the image
+    const tiled = tags.has(TIFF_TAGS.tileOffsets);
+    const blockWidth = tiled ? tag(TIFF_TAGS.tileWidth) : width;
+    const blockHeight = tiled ? tag(TIFF_TAGS.tileLength) : Math.min(tag(TIFF_TAGS.rowsPerStrip, height), height);
+    const offsets = tags.get(tiled ? TIFF_TAGS.tileOffsets : TIFF_TAGS.stripOffsets);
+    const byteCounts = tags.get(tiled ? TIFF_TAGS.tileByteCounts : TIFF_TAGS.stripByteCounts);
+    const blocksAcross = Math.ceil(width / blockWidth);
+    const bytesPerSample = bitsPerSample / 8;
+    const blockBytes = blockWidth * blockHeight * bytesPerSample;
+
+    const readSample = {
+        1: { 8: (v, p) => v.getUint8(p), 16: (v, p) => v.getUint16(p, littleEndian), 32: (v, p) => v.getUint32(p, littleEndian) },
+        2: { 8: (v, p) => v.getInt8(p), 16: (v, p) => v.getInt16(p, littleEndian), 32: (v, p) => v.getInt32(p, littleEndian) },
+        3: { 32: (v, p) => v.getFloat32(p, littleEndian), 64: (v, p) => v.getFloat64(p, littleEndian) }
+    }[sampleFormat === 2 || sampleFormat === 3 ? sampleFormat : 1][bitsPerSample];
+    if (!readSample) {
+        throw new Error(`Unsupported sample size: ${bitsPerSample}-bit.`);
+    }
+
+    const data = new Float32Array(width * height);
+    for (let block = 0; block < offsets.length; block++) {
+        const compressed = bytes.subarray(offsets[block], offsets[block] + byteCounts[block]);
+        let raw;
+        if (compression === 1) {
+            raw = compressed.slice();
+        } else if (compression === 5) {
+            raw = decodeTiffLzw(compressed, blockBytes);
+        } else if (compression === 32773) {
+            raw = decodePackBits(compressed, blockBytes);
+        } else {
+            raw = await inflate(compressed);
+        }
+
+        // The last strip may be short; tiles are always full size
+        const blockX = (block % blocksAcross) * blockWidth;
+        const blockY = Math.floor(block / blocksAcross) * blockHeight;
+        const rows = Math.min(blockHeight, Math.floor(raw.length / (blockWidth * bytesPerSample)));
+        if (predictor === 2) {
+            undoHorizontalPredictor(raw, blockWidth, rows, bytesPerSample, littleEndian);
+        } else if (predictor === 3) {
+            undoFloatPredictor(raw, blockWidth, rows, bytesPerSample, littleEndian);
+        }
+
+        const rawView = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+        for (let y = 0; y < rows && blockY + y < height; y++) {
+            for (let x = 0; x < blockWidth && blockX + x < width; x++) {
+                data[(blockY + y) * width + blockX + x] = readSample(rawView, (y * blockWidth + x) * bytesPerSample);
+            }
+        }
+    }
+
+    // GDAL stores the no-data value as text; it is compared against the Float32 samples
+    const noDataText = String(tag(TIFF_TAGS.gdalNoData, '')).trim();
+    const noData = noDataText !== '' && !Number.isNaN(Number(noDataText)) ? Math.fround(Number(noDataText)) : null;
+    const geoKeys = readGeoKeys(tags);
+    return {
+        width,
+        height,
+        data,
+        noData,
+        pgw: readGeoTransform(tags, geoKeys),
+        geoKeys
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isTiff,
+        decodeTiffLzw,
+        decodeGeoTiff
+    };
+}
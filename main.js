@@ -1,19 +1,129 @@
 const startButton = document.getElementById('start-button');
 const mapTypeSelect = document.getElementById('map-type');
 const regionSelect = document.getElementById('region-select');
+
+// Custom region upload
+const customRegionPanel = document.getElementById('custom-region-panel');
+const customMapInput = document.getElementById('custom-map-input');
+const customPgwInput = document.getElementById('custom-pgw-input');
+const customWaterMaskInput = document.getElementById('custom-water-mask-input');
+const customCitiesInput = document.getElementById('custom-cities-input');
+const customNameFieldSelect = document.getElementById('custom-name-field');
+const customPopulationFieldSelect = document.getElementById('custom-population-field');
+const loadCustomRegionButton = document.getElementById('load-custom-region-button');
+const exportButton = document.getElementById('export-button');
+const exportFormatSelect = document.getElementById('export-format');
+
+// Session controls
+const saveSessionButton = document.getElementById('save-session-button');
+const restoreSessionButton = document.getElementById('restore-session-button');
+const downloadSessionButton = document.getElementById('download-session-button');
+const loadSessionButton = document.getElementById('load-session-button');
+const sessionFileInput = document.getElementById('session-file-input');
+
+// Cost model controls
+const costModelFields = document.getElementById('cost-model-fields');
+const applyCostModelButton = document.getElementById('apply-cost-model-button');
+const resetCostModelButton = document.getElementById('reset-cost-model-button');
+const costPresetSelect = document.getElementById('cost-preset-select');
+const costPresetNameInput = document.getElementById('cost-preset-name');
+const saveCostPresetButton = document.getElementById('save-cost-preset-button');
+const deleteCostPresetButton = document.getElementById('delete-cost-preset-button');
+
+// Headless batch controls
+const batchCountInput = document.getElementById('batch-count');
+const runBatchButton = document.getElementById('run-batch-button');
+const stopBatchButton = document.getElementById('stop-batch-button');
+const batchProgress = document.getElementById('batch-progress');
+
+// Timeline controls
+const timelineSlider = document.getElementById('timeline-slider');
+const timelineLabel = document.getElementById('timeline-label');
+const timelinePlayButton = document.getElementById('timeline-play-button');
+const timelineSpeedSelect = document.getElementById('timeline-speed');
+const timelineLiveButton = document.getElementById('timeline-live-button');
+
+// Network statistics
+const statsEmpty = document.getElementById('stats-empty');
+const statsContent = document.getElementById('stats-content');
+const statsValues = document.getElementById('stats-values');
+const efficiencyHistogram = document.getElementById('efficiency-histogram');
+const statsMetricSelect = document.getElementById('stats-metric-select');
+const statsChart = document.getElementById('stats-chart');
+
+// Existing road import
+const importWeightInput = document.getElementById('import-weight');
+const importRoadsButton = document.getElementById('import-roads-button');
+const removeRoadsButton = document.getElementById('remove-roads-button');
+const importInfo = document.getElementById('import-info');
+const importRoadsInput = document.getElementById('import-roads-input');
+
+// Recording controls
+const recordFpsInput = document.getElementById('record-fps');
+const recordTendrilsInput = document.getElementById('record-tendrils');
+const recordVideoButton = document.getElementById('record-video-button');
+const recordFramesInput = document.getElementById('record-frames');
+const frameIntervalInput = document.getElementById('frame-interval');
+const recordingStatus = document.getElementById('recording-status');
+
+// Worker pool size
+const workerCountSelect = document.getElementById('worker-count');
+
+// Search algorithm
+const algorithmSelect = document.getElementById('algorithm-select');
+
+// Seed controls
+const seedInput = document.getElementById('seed-input');
+const seedInfo = document.getElementById('seed-info');
+
+// Road rendering
+const roadStyleSelect = document.getElementById('road-style-select');
+const colorRampSelect = document.getElementById('color-ramp-select');
+const simplifyToleranceInput = document.getElementById('simplify-tolerance');
+const smoothRoadsInput = document.getElementById('smooth-roads');
+const roadLegend = document.getElementById('road-legend');
+const roadLegendBar = document.getElementById('road-legend-bar');
+const roadLegendMin = document.getElementById('road-legend-min');
+const roadLegendMid = document.getElementById('road-legend-mid');
+const roadLegendMax = document.getElementById('road-legend-max');
+
+// Debug overlays
+const overlaySelect = document.getElementById('overlay-select');
+const overlayOpacityInput = document.getElementById('overlay-opacity');
+const refreshOverlayButton = document.getElementById('refresh-overlay-button');
+
+// Map inspector
+const inspectorTooltip = document.getElementById('inspector-tooltip');
+const cityInspector = document.getElementById('city-inspector');
+const cityInspectorContent = document.getElementById('city-inspector-content');
+const cityInspectorCloseButton = document.getElementById('city-inspector-close');
+
+// Click-to-route controls
+const pickRouteButton = document.getElementById('pick-route-button');
+const commitRouteButton = document.getElementById('commit-route-button');
+const discardRouteButton = document.getElementById('discard-route-button');
+const routeInfo = document.getElementById('route-info');
 const mapCanvas = document.getElementById('map-canvas');
+const overlayCanvas = document.getElementById('overlay-canvas');
 const animationCanvas = document.getElementById('animation-canvas');
 const roadCanvas = document.getElementById('road-canvas');
+const routeCanvas = document.getElementById('route-canvas');
 const cityCanvas = document.getElementById('city-canvas');
 
+// Pan and zoom: the viewport wraps the stacked canvases so one transform keeps them in sync
+const mapContainer = document.getElementById('container');
+const viewportElement = document.getElementById('viewport');
+
 // Controls minimize/maximize elements
 const controlsPanel = document.getElementById('controls');
 const minimizeButton = document.getElementById('minimize-button');
 const controlsMinimized = document.getElementById('controls-minimized');
 
 const mapCtx = mapCanvas.getContext('2d');
+const overlayCtx = overlayCanvas.getContext('2d');
 const animationCtx = animationCanvas.getContext('2d');
 const roadCtx = roadCanvas.getContext('2d');
+const routeCtx = routeCanvas.getContext('2d');
 const cityCtx = cityCanvas.getContext('2d');
 
 const worker = new Worker('worker.js');
@@ -21,11 +131,13 @@ const worker = new Worker('worker.js');
 let mapWidth = 0;
 let mapHeight = 0;
 let cities = [];
-let allPaths = []; // Array of {path: [], usageData: Map, maxUsage: number, strokeStyle: string, lineWidth: number}
+let allPaths = []; // Array of {path: [], startCity: string, endCity: string, efficiency: number, geometricLength: number, lengthKm: number, steps: number, waterPixels: number, passedCities: string[], maxUsage: number, strokeStyle: string, lineWidth: number}
 let roadUsageMap = new Map(); // Global usage tracking for all roads
+let importedRoads = null; // Existing roads every run starts from: {name, weight, paths, pieces} with pixel paths
 let currentStartCityName = null;
 let currentEndCityName = null;
-let currentRegion = 'china'; // Default region
+let currentRegion = null; // Set from the region manifest
+let mapPgw = null; // World file of the loaded region, sent by the worker; null until it has loaded
 
 // City visit tracking for leaderboard
 let cityVisitCounts = new Map(); // Track how many times each city has been visited
@@ -40,31 +152,129 @@ let exploredPixelsBitmap = null; // Use a bitmap for memory efficiency
 let exploredCanvas = null; // Offscreen canvas for explored areas
 let exploredCtx = null;
 
+// Viewport transform, in CSS pixels of the container: screen = offset + scale * unzoomed
+const MIN_VIEW_SCALE = 1;
+const MAX_VIEW_SCALE = 32;
+let viewScale = 1;
+let viewOffsetX = 0;
+let viewOffsetY = 0;
+let activePointers = new Map(); // Pointer id -> {x, y} for drag and pinch
+let pointerDownPoint = null; // Where a single-pointer press started, to tell clicks from drags
+let cityRedrawPending = false;
+
+// Click-to-route: picked endpoints, then the previewed route until it is committed or discarded
+const CLICK_MOVE_TOLERANCE = 5; // CSS pixels a press may move and still count as a click
+const CITY_SNAP_RADIUS = 12; // CSS pixels within which a click picks a city
+let routeMode = false;
+let routePoints = []; // [{name, x, y, isCity}]
+let routePreview = null; // routeFound payload: {path, cost, efficiency, geometricLength, lengthKm, startPoint, endPoint}
+let routeRequestCount = 0; // Id of the latest route request; older replies are ignored
+
+// Road heatmap: colour stops [position 0-1, [r, g, b]] for each selectable ramp
+const ROAD_COLOR_RAMPS = {
+    heat: [[0, [255, 237, 160]], [0.35, [254, 178, 76]], [0.7, [240, 59, 32]], [1, [128, 0, 38]]],
+    viridis: [[0, [68, 1, 84]], [0.25, [59, 82, 139]], [0.5, [33, 145, 140]], [0.75, [94, 201, 98]], [1, [253, 231, 37]]],
+    redBlack: [[0, [0, 0, 0]], [1, [255, 0, 0]]]
+};
+const HEATMAP_LEVELS = 32; // Usage is bucketed into this many colour/width steps, one stroke each
+let roadRenderMode = 'classic'; // 'classic' or 'heatmap'
+let simplifyTolerance = 0; // Douglas-Peucker tolerance in pixels for drawn and exported roads; 0 keeps every pixel
+let smoothRoads = false; // Draw classic roads as splines through their vertices
+
+// Debug overlay rendered by the worker from its grids; one request in flight at a time
+let overlayMode = 'none';
+let overlayRequestInFlight = false;
+let overlayRefreshQueued = false;
+
+// Inspector: the road pixel under the mouse, with terrain details from the worker
+const ROAD_HOVER_RADIUS = 4; // CSS pixels around the mouse searched for a road pixel
+const INSPECTOR_LIST_LIMIT = 8; // Paths or routes listed before summarising the rest
+let hoveredRoad = null; // {index, point, paths, terrain}
+let pendingHoverEvent = null;
+
+// Session restore: when set, the next start continues the restored network instead of resetting it
+let resumePending = false;
+
+// Replies awaited from each worker, keyed by message type
+const pendingWorkerReplies = new WeakMap();
+
+// Worker pool: the main worker plus helpers that compute batches of paths in parallel
+let helperWorkers = [];
+let parallelRun = null; // {id, batchInFlight, replayQueue, replaying} while a parallel run is active
+let nextParallelRunId = 1;
+
+// Id of the worker's sequential run, bumped by every start and reset so that its messages and
+// animations from an earlier run are dropped
+let sequentialRunId = 0;
+
+// Headless batch in progress: {id, total, completed, startTime}
+let batchRun = null;
+let nextBatchId = 1;
+
+// Timeline replay: while set, the road canvas and leaderboard show the network as of an earlier
+// step and the live run waits. {step, builtStep, usage, visits, playing, timerId, liveWaiting}
+let timeline = null;
+
+// Timelapse recording: WebM video of the live canvas stack, or PNG frames of a headless batch
+const MAX_RECORDING_WIDTH = 1920; // Larger maps are scaled down to keep encoders and memory happy
+const MAX_RECORDING_HEIGHT = 1920; // Likewise for tall maps, which could exceed the canvas size limits
+let videoRecording = null; // {recorder, frameId} while recording video
+let frameCapture = null; // {interval, frames: [Promise<Blob>]} while capturing a batch
+let lightningActive = false; // The animation canvas shows the lightning flash rather than tendrils
+
+// Region manifest: lists each region's data files and cost parameters
+const REGION_MANIFEST_PATH = 'regions.json';
+let regionManifest = new Map(); // Region id -> manifest entry
+let lastRegionPayload = null; // Last loadRegion payload, used to set up helper workers
+
+// Custom regions are uploaded files, registered in the manifest as blob URLs under this id
+const CUSTOM_REGION_ID = 'custom';
+const CITY_NAME_FIELDS = ['city_ascii', 'City', 'city']; // The spellings setRegionCities tries by default
+const CITY_POPULATION_FIELDS = ['population', 'Population'];
+
+async function loadRegionManifest() {
+    const response = await fetch(REGION_MANIFEST_PATH);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${REGION_MANIFEST_PATH}.`);
+    }
+    const manifest = await response.json();
+    
+    regionManifest = new Map(manifest.regions.map(region => [region.id, region]));
+    
+    // Populate the region dropdown from the manifest
+    regionSelect.innerHTML = '';
+    manifest.regions.forEach(region => {
+        const option = document.createElement('option');
+        option.value = region.id;
+        option.textContent = region.name || region.id;
+        regionSelect.appendChild(option);
+    });
+    const customOption = document.createElement('option');
+    customOption.value = CUSTOM_REGION_ID;
+    customOption.textContent = 'Custom region...';
+    regionSelect.appendChild(customOption);
+    regionSelect.value = regionManifest.has(manifest.defaultRegion) ? manifest.defaultRegion : manifest.regions[0].id;
+    
+    console.log(`Region manifest loaded: ${manifest.regions.length} regions`);
+}
+
 // Dynamic path generation based on region and map type
 function getMapPaths(region, mapType) {
-    const regionPaths = {
-        china: {
-            cities: 'data/china/cities.geojson',
-            map: 'data/china/map.png',
-            pgw: 'data/china/map.pgw',
-            viewmap: 'data/china/viewmap.png',
-            satmap: 'data/china/satmap.png'
-        },
-        usa: {
-            cities: 'data/usa/usacities.geojson',
-            map: 'data/usa/greyscale_usa.png',
-            pgw: 'data/usa/greyscale_usa.pgw',
-            viewmap: 'data/usa/viewmap_usa.png',
-            satmap: 'data/usa/usasatellite.png'
-        }
-    };
+    const entry = regionManifest.get(region);
+    if (!entry) {
+        throw new Error(`Unknown region "${region}".`);
+    }
     
-    const paths = regionPaths[region];
+    // Fall back to the graphic map, then to the calculation map, when a display map is missing.
+    // A DEM region may have neither, and is then shown as shaded relief rendered by the worker.
+    const displayMaps = entry.displayMaps || {};
     return {
-        cities: paths.cities,
-        map: paths.map,
-        pgw: paths.pgw,
-        display: mapType === 'satmap' ? paths.satmap : paths.viewmap
+        cities: entry.cities,
+        map: entry.map,
+        pgw: entry.pgw,
+        dem: entry.dem,
+        waterMask: entry.waterMask,
+        display: displayMaps[mapType] || displayMaps.viewmap || entry.map || null
     };
 }
 
@@ -76,75 +286,108 @@ let currentDisplayMapSrc = '';
 function loadMaps(region, mapType) {
     const paths = getMapPaths(region, mapType);
     
-    // Update current region
+    // Update current region and show its cost presets
     currentRegion = region;
+    mapPgw = null;
+    refreshCostPresetOptions();
+    lastRegionPayload = { 
+        region: currentRegion,
+        citiesPath: paths.cities,
+        mapPath: paths.map,
+        pgwPath: paths.pgw,
+        demPath: paths.dem,
+        waterMaskPath: paths.waterMask,
+        costModel: regionManifest.get(currentRegion).costModel,
+        cityFields: regionManifest.get(currentRegion).cityFields
+    };
+    
+    if (paths.dem) {
+        return loadDemMaps(paths);
+    }
     
     // Load calculation map (always the greyscale map for pathfinding)
     calculationMapImage = new Image();
-    const calculationMapPromise = new Promise(resolve => {
+    const calculationMapPromise = new Promise((resolve, reject) => {
         calculationMapImage.onload = resolve;
+        calculationMapImage.onerror = () => reject(new Error(`Failed to load map image ${paths.map}.`));
     });
     calculationMapImage.src = paths.map;
     
     // Load display map
     const newDisplaySrc = paths.display;
     displayMapImage = new Image();
-    const displayMapPromise = new Promise(resolve => {
+    const displayMapPromise = new Promise((resolve, reject) => {
         displayMapImage.onload = () => {
             currentDisplayMapSrc = newDisplaySrc;
             resolve();
         };
+        displayMapImage.onerror = () => reject(new Error(`Failed to load display map ${newDisplaySrc}.`));
     });
     displayMapImage.src = newDisplaySrc;
     
     return Promise.all([calculationMapPromise, displayMapPromise]).then(() => {
-        mapWidth = mapCanvas.width = calculationMapImage.width;
-        mapHeight = mapCanvas.height = calculationMapImage.height;
-        animationCanvas.width = calculationMapImage.width;
-        animationCanvas.height = calculationMapImage.height;
-        roadCanvas.width = calculationMapImage.width;
-        roadCanvas.height = calculationMapImage.height;
-        cityCanvas.width = calculationMapImage.width;
-        cityCanvas.height = calculationMapImage.height;
-        
-        // Create offscreen canvas for explored areas
-        exploredCanvas = new OffscreenCanvas(mapWidth, mapHeight);
-        exploredCtx = exploredCanvas.getContext('2d');
-        
-        // Initialize bitmap for tracking explored pixels
-        exploredPixelsBitmap = new Uint8Array(mapWidth * mapHeight);
+        resizeMapCanvases(calculationMapImage.width, calculationMapImage.height);
 
         // Scale the display map to match the calculation map size
         mapCtx.drawImage(displayMapImage, 0, 0, mapWidth, mapHeight);
         
         // Notify worker about the region change
-        const paths = getMapPaths(currentRegion, mapTypeSelect.value);
-        worker.postMessage({ 
-            type: 'loadRegion', 
-            payload: { 
-                region: currentRegion,
-                citiesPath: paths.cities,
-                mapPath: paths.map,
-                pgwPath: paths.pgw
-            } 
+        worker.postMessage({ type: 'loadRegion', payload: lastRegionPayload });
+    });
+}
+
+// A DEM is decoded by the worker, so the map size is only known once it has loaded the region
+async function loadDemMaps(paths) {
+    worker.postMessage({ type: 'loadRegion', payload: lastRegionPayload });
+    const { width, height } = await requestFromWorker({ type: 'awaitRegion' }, 'regionReady');
+    if (!width || !height) {
+        throw new Error(`Failed to load DEM ${paths.dem}.`);
+    }
+    resizeMapCanvases(width, height);
+    
+    currentDisplayMapSrc = '';
+    if (paths.display) {
+        await loadDisplayMap(mapTypeSelect.value);
+    } else {
+        const { pixels } = await requestFromWorker({ type: 'renderBaseMap' }, 'baseMapImage').catch(error => {
+            throw new Error(`Base map not rendered: ${error.message}`);
         });
+        mapCtx.putImageData(new ImageData(pixels, width, height), 0, 0);
+    }
+}
+
+function resizeMapCanvases(width, height) {
+    mapWidth = mapCanvas.width = width;
+    mapHeight = mapCanvas.height = height;
+    [overlayCanvas, animationCanvas, roadCanvas, routeCanvas, cityCanvas].forEach(canvas => {
+        canvas.width = width;
+        canvas.height = height;
     });
+    
+    // Create offscreen canvas for explored areas
+    exploredCanvas = new OffscreenCanvas(mapWidth, mapHeight);
+    exploredCtx = exploredCanvas.getContext('2d');
+    
+    // Initialize bitmap for tracking explored pixels
+    exploredPixelsBitmap = new Uint8Array(mapWidth * mapHeight);
 }
 
 function loadDisplayMap(mapType) {
     const paths = getMapPaths(currentRegion, mapType);
     const newSrc = paths.display;
     
-    if (newSrc !== currentDisplayMapSrc) {
+    // DEM regions without display maps keep their rendered relief
+    if (newSrc && newSrc !== currentDisplayMapSrc) {
         currentDisplayMapSrc = newSrc;
         displayMapImage = new Image();
         
-        return new Promise(resolve => {
+        return new Promise((resolve, reject) => {
             displayMapImage.onload = () => {
                 // Redraw the map canvas with the new image
                 mapCtx.drawImage(displayMapImage, 0, 0, mapWidth, mapHeight);
                 resolve();
             };
+            displayMapImage.onerror = () => reject(new Error(`Failed to load display map ${newSrc}.`));
             displayMapImage.src = newSrc;
         });
     }
@@ -152,8 +395,8 @@ function loadDisplayMap(mapType) {
     return Promise.resolve();
 }
 
-// Initialize with default region and map type
-loadMaps('china', 'viewmap').then(() => {
+// Initialize with the manifest's default region and map type
+loadRegionManifest().then(() => loadMaps(regionSelect.value, mapTypeSelect.value)).then(() => {
     // Enable start button after initial maps are loaded
     startButton.disabled = false;
     console.log('Initial maps loaded, start button enabled');
@@ -162,20 +405,22 @@ loadMaps('china', 'viewmap').then(() => {
     startButton.disabled = false; // Enable anyway so user can try
 });
 
+algorithmSelect.addEventListener('change', () => {
+    postToAllWorkers({ type: 'setSearchAlgorithm', payload: { algorithm: algorithmSelect.value } });
+});
+
 // Add event listeners for map type and region changes
 mapTypeSelect.addEventListener('change', () => {
     const selectedMapType = mapTypeSelect.value;
-    loadDisplayMap(selectedMapType);
+    loadDisplayMap(selectedMapType).catch(error => console.error('Error loading display map:', error));
 });
 
-regionSelect.addEventListener('change', () => {
-    const selectedRegion = regionSelect.value;
-    const selectedMapType = mapTypeSelect.value;
-    
-    // Disable start button while switching regions
-    startButton.disabled = true;
-    
-    // Clear all existing data when switching regions
+// Clear all simulation data and canvases, e.g. when switching regions or restoring a session
+function resetSimulationState() {
+    closeTimeline();
+    stopParallelRun();
+    cancelBatch();
+    sequentialRunId++;
     isPathfindingActive = false;
     if (animationFrameId) {
         cancelAnimationFrame(animationFrameId);
@@ -185,10 +430,17 @@ regionSelect.addEventListener('change', () => {
     currentStartCityName = null;
     currentEndCityName = null;
     allPaths = [];
+    importedRoads = null;
     roadUsageMap.clear();
-    cities = [];
+    resetNetworkStats();
+    exportButton.disabled = true;
+    updateTimelineControls();
+    updateImportControls();
+    clearRoute();
+    hideRoadTooltip();
+    hideCityInspector();
     
-    // Clear city visit tracking for the new region
+    // Clear city visit tracking
     cityVisitCounts.clear();
     updateLeaderboard();
     
@@ -204,6 +456,32 @@ regionSelect.addEventListener('change', () => {
             exploredCtx.clearRect(0, 0, mapWidth, mapHeight);
         }
     }
+}
+
+regionSelect.addEventListener('change', () => {
+    const selectedRegion = regionSelect.value;
+    customRegionPanel.style.display = selectedRegion === CUSTOM_REGION_ID ? 'block' : 'none';
+    
+    // The custom region loads from its panel once the files are picked
+    if (selectedRegion === CUSTOM_REGION_ID && !regionManifest.has(CUSTOM_REGION_ID)) {
+        return;
+    }
+    switchRegion(selectedRegion);
+});
+
+function switchRegion(selectedRegion) {
+    // Helpers are set up for the new region on the next start
+    helperWorkers.forEach(helper => helper.terminate());
+    helperWorkers = [];
+    const selectedMapType = mapTypeSelect.value;
+    
+    // Disable start button while switching regions
+    startButton.disabled = true;
+    
+    // Clear all existing data when switching regions
+    resetSimulationState();
+    setResumePending(false);
+    cities = [];
     
     // Load new region
     loadMaps(selectedRegion, selectedMapType).then(() => {
@@ -214,7 +492,109 @@ regionSelect.addEventListener('change', () => {
         console.error('Error switching region:', error);
         startButton.disabled = false; // Enable anyway so user can try
     });
+}
+
+// Offer the properties found on the uploaded cities, preselecting the spellings that would be guessed
+async function readCustomCityProperties() {
+    const file = customCitiesInput.files[0];
+    customNameFieldSelect.innerHTML = '';
+    customPopulationFieldSelect.innerHTML = '';
+    customNameFieldSelect.disabled = true;
+    customPopulationFieldSelect.disabled = true;
+    if (!file) return;
+
+    const citiesData = JSON.parse(await file.text());
+    if (!Array.isArray(citiesData.features)) {
+        throw new Error('The cities file is not a GeoJSON FeatureCollection.');
+    }
+    const properties = new Set();
+    citiesData.features.forEach(feature => Object.keys(feature.properties || {}).forEach(key => properties.add(key)));
+    if (properties.size === 0) {
+        throw new Error('The city features have no properties to take names from.');
+    }
+
+    // Cities can do without a population, so that one may be left unset
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = '(none)';
+    customPopulationFieldSelect.appendChild(noneOption);
+
+    [customNameFieldSelect, customPopulationFieldSelect].forEach(select => {
+        properties.forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key;
+            select.appendChild(option);
+        });
+        select.disabled = false;
+    });
+    customNameFieldSelect.value = CITY_NAME_FIELDS.find(key => properties.has(key)) || customNameFieldSelect.options[0].value;
+    customPopulationFieldSelect.value = CITY_POPULATION_FIELDS.find(key => properties.has(key)) || '';
+}
+
+// GeoTIFFs are DEMs, which carry their own georeferencing; PNGs need a world file
+function isCustomDem() {
+    const file = customMapInput.files[0];
+    return !!file && (file.type === 'image/tiff' || /\.tiff?$/i.test(file.name));
+}
+
+function updateCustomRegionButton() {
+    customWaterMaskInput.disabled = !isCustomDem();
+    loadCustomRegionButton.disabled = !customMapInput.files[0] || (!customPgwInput.files[0] && !isCustomDem()) || customNameFieldSelect.disabled;
+}
+
+function loadCustomRegion() {
+    // The previous upload's files are no longer needed once the new region replaces it
+    const previous = regionManifest.get(CUSTOM_REGION_ID);
+    if (previous) {
+        [previous.map, previous.dem, previous.waterMask, previous.pgw, previous.cities]
+            .filter(Boolean)
+            .forEach(url => URL.revokeObjectURL(url));
+    }
+
+    const fileUrl = input => (input.files[0] ? URL.createObjectURL(input.files[0]) : undefined);
+    const terrainUrl = URL.createObjectURL(customMapInput.files[0]);
+    regionManifest.set(CUSTOM_REGION_ID, {
+        id: CUSTOM_REGION_ID,
+        map: isCustomDem() ? undefined : terrainUrl,
+        dem: isCustomDem() ? terrainUrl : undefined,
+        waterMask: isCustomDem() ? fileUrl(customWaterMaskInput) : undefined,
+        pgw: fileUrl(customPgwInput),
+        cities: URL.createObjectURL(customCitiesInput.files[0]),
+        cityFields: {
+            name: customNameFieldSelect.value,
+            population: customPopulationFieldSelect.value || null // "(none)": every city counts the same
+        }
+    });
+    regionSelect.querySelector(`option[value="${CUSTOM_REGION_ID}"]`).textContent = `Custom: ${customMapInput.files[0].name}`;
+    regionSelect.value = CUSTOM_REGION_ID;
+    switchRegion(CUSTOM_REGION_ID);
+    console.log(`Loading custom region from ${customMapInput.files[0].name}`);
+}
+
+customCitiesInput.addEventListener('change', () => {
+    readCustomCityProperties().catch(error => {
+        console.error('Error reading cities file:', error);
+        alert('Error reading cities file: ' + error.message);
+    }).finally(updateCustomRegionButton);
 });
+customMapInput.addEventListener('change', updateCustomRegionButton);
+customPgwInput.addEventListener('change', updateCustomRegionButton);
+loadCustomRegionButton.addEventListener('click', loadCustomRegion);
+
+// The worker leaves out cities the world file places off the raster; say which, since a wrong
+// world file or cities file is the usual cause
+function warnCitiesOutsideMap(outside) {
+    const maxListed = 15;
+    const describe = city => `${city.name} (${city.lon}, ${city.lat})`;
+    console.warn(`${outside.length} cities lie outside the map and were left out:`, outside.map(describe).join(', '));
+    const listed = outside.slice(0, maxListed).map(describe);
+    if (outside.length > maxListed) {
+        listed.push(`...and ${outside.length - maxListed} more`);
+    }
+    alert(`${outside.length} cities lie outside the map and were left out of the simulation. ` +
+        `Check the world file and the cities file.\n\n${listed.join('\n')}`);
+}
 
 // City visit tracking functions
 function trackCityVisit(cityName) {
@@ -223,16 +603,26 @@ function trackCityVisit(cityName) {
     const currentCount = cityVisitCounts.get(cityName) || 0;
     cityVisitCounts.set(cityName, currentCount + 1);
     
+    // Headless batches update the leaderboard once, at the end; the timeline shows its own counts
+    if (batchRun || timeline) return;
+    
     console.log(`City visit tracked: ${cityName} (${currentCount + 1} times)`);
     updateLeaderboard();
 }
 
-function trackCitiesAlongPath(path) {
-    if (!path || !cities || cities.length === 0 || !mapWidth) return;
+// The loaded map in the shape the simulation core's functions take as their state
+function getMapState() {
+    return { map: { width: mapWidth, height: mapHeight }, pgw: mapPgw };
+}
+
+// Names of the cities a path starts at, ends at or passes close to
+function findCitiesAlongPath(path) {
+    if (!path || !cities || cities.length === 0 || !mapWidth || !mapPgw) return [];
     
+    const mapState = getMapState();
     // Convert path indices to coordinates and check which cities are passed through
     const passedThroughCities = new Set(); // Use Set to avoid counting same city multiple times per path
-    const proximityThreshold = 15; // Distance threshold to consider a city "passed through"
+    const proximityThreshold = 15; // Distance threshold, in north-south pixels, to consider a city "passed through"
     
     // Sample the path at regular intervals to avoid checking every single pixel
     const sampleInterval = Math.max(1, Math.floor(path.length / 100)); // Sample ~100 points along the path
@@ -246,11 +636,10 @@ function trackCitiesAlongPath(path) {
         for (const city of cities) {
             const cityX = Math.round(city.x);
             const cityY = Math.round(city.y);
+            const cosLat = getLatitudeScale(mapState, cityX, cityY);
             
-            // Calculate distance between path point and city
-            const distance = Math.sqrt(
-                Math.pow(pathX - cityX, 2) + Math.pow(pathY - cityY, 2)
-            );
+            // Calculate ground distance between path point and city
+            const distance = getGroundOffsetLength(mapState, pathX - cityX, pathY - cityY, cosLat);
             
             // If path passes close enough to city, count it
             if (distance <= proximityThreshold) {
@@ -274,13 +663,10 @@ function trackCitiesAlongPath(path) {
         for (const city of cities) {
             const cityX = Math.round(city.x);
             const cityY = Math.round(city.y);
+            const cosLat = getLatitudeScale(mapState, cityX, cityY);
             
-            const startDistance = Math.sqrt(
-                Math.pow(startX - cityX, 2) + Math.pow(startY - cityY, 2)
-            );
-            const endDistance = Math.sqrt(
-                Math.pow(endX - cityX, 2) + Math.pow(endY - cityY, 2)
-            );
+            const startDistance = getGroundOffsetLength(mapState, startX - cityX, startY - cityY, cosLat);
+            const endDistance = getGroundOffsetLength(mapState, endX - cityX, endY - cityY, cosLat);
             
             if (startDistance <= proximityThreshold || endDistance <= proximityThreshold) {
                 passedThroughCities.add(city.name);
@@ -288,12 +674,27 @@ function trackCitiesAlongPath(path) {
         }
     }
     
+    return Array.from(passedThroughCities);
+}
+
+function trackCitiesAlongPath(path) {
+    const passedThroughCities = findCitiesAlongPath(path);
+    
     // Track all cities that were passed through
     passedThroughCities.forEach(cityName => {
         trackCityVisit(cityName);
     });
     
-    console.log(`Path passed through ${passedThroughCities.size} cities:`, Array.from(passedThroughCities));
+    console.log(`Path passed through ${passedThroughCities.length} cities:`, passedThroughCities);
+    return passedThroughCities;
+}
+
+// Paths restored from a session don't carry their cities, so work them out on first use
+function getPassedCities(pathData) {
+    if (!pathData.passedCities) {
+        pathData.passedCities = findCitiesAlongPath(pathData.path);
+    }
+    return pathData.passedCities;
 }
 
 // Controls minimize/maximize functionality
@@ -311,11 +712,11 @@ function maximizeControls() {
 minimizeButton.addEventListener('click', minimizeControls);
 controlsMinimized.addEventListener('click', maximizeControls);
 
-function updateLeaderboard() {
+function updateLeaderboard(visitCounts = cityVisitCounts) {
     const leaderboardEmpty = document.getElementById('leaderboard-empty');
     const leaderboardList = document.getElementById('leaderboard-list');
     
-    if (cityVisitCounts.size === 0) {
+    if (visitCounts.size === 0) {
         leaderboardEmpty.style.display = 'block';
         leaderboardList.style.display = 'none';
         return;
@@ -325,7 +726,7 @@ function updateLeaderboard() {
     leaderboardList.style.display = 'block';
     
     // Convert map to array and sort by visit count
-    const sortedCities = Array.from(cityVisitCounts.entries())
+    const sortedCities = Array.from(visitCounts.entries())
         .sort((a, b) => b[1] - a[1])
         .slice(0, 20); // Top 20 cities
     
@@ -345,7 +746,7 @@ function updateLeaderboard() {
         countSpan.textContent = visitCount;
         
         // Add traffic level styling based on visit count
-        const maxCount = Math.max(...cityVisitCounts.values());
+        const maxCount = Math.max(...visitCounts.values());
         if (visitCount >= maxCount * 0.7) {
             countSpan.classList.add('high-traffic');
         } else if (visitCount >= maxCount * 0.3) {
@@ -360,6 +761,188 @@ function updateLeaderboard() {
     });
 }
 
+// Network statistics: running totals over allPaths, with one history sample per path for the chart
+const EFFICIENCY_BINS = [
+    { label: '<1.05', max: 1.05 },
+    { label: '1.1', max: 1.1 },
+    { label: '1.2', max: 1.2 },
+    { label: '1.3', max: 1.3 },
+    { label: '1.5', max: 1.5 },
+    { label: '2', max: 2 },
+    { label: '>2', max: Infinity }
+];
+const STATS_METRICS = {
+    totalLength: { label: 'Total road length', format: value => `${Math.round(value).toLocaleString()} px` },
+    totalLengthKm: { label: 'Total road length (ground)', format: value => `${Math.round(value).toLocaleString()} km` },
+    roadPixels: { label: 'Distinct road pixels', format: value => value.toLocaleString() },
+    meanEfficiency: { label: 'Mean efficiency', format: value => `${value.toFixed(3)}x` },
+    meanSteps: { label: 'Mean search steps', format: value => Math.round(value).toLocaleString() },
+    // Over every path's pixels, so a stretch used by many paths counts many times, unlike roadPixels
+    pathWaterShare: { label: 'Path length on water', format: value => `${(value * 100).toFixed(1)}%` }
+};
+let networkStats = createNetworkStats();
+
+function createNetworkStats() {
+    return {
+        totalLength: 0,
+        totalLengthKm: 0,
+        efficiencySum: 0,
+        stepsSum: 0,
+        stepsPaths: 0, // Paths with a step count; session files from before the dashboard have none
+        pathPixels: 0,
+        waterPixels: 0,
+        history: [] // {totalLength, totalLengthKm, roadPixels, meanEfficiency, meanSteps, pathWaterShare} after each path
+    };
+}
+
+function addNetworkStats(pathData, roadPixels) {
+    const stats = networkStats;
+    stats.totalLength += pathData.geometricLength;
+    stats.totalLengthKm += pathData.lengthKm;
+    stats.efficiencySum += pathData.efficiency;
+    if (pathData.steps !== undefined) {
+        stats.stepsSum += pathData.steps;
+        stats.stepsPaths++;
+    }
+    if (pathData.waterPixels !== undefined) {
+        stats.pathPixels += pathData.path.length;
+        stats.waterPixels += pathData.waterPixels;
+    }
+    stats.history.push({
+        totalLength: stats.totalLength,
+        totalLengthKm: stats.totalLengthKm,
+        roadPixels,
+        meanEfficiency: stats.efficiencySum / (stats.history.length + 1),
+        meanSteps: stats.stepsPaths > 0 ? stats.stepsSum / stats.stepsPaths : 0,
+        pathWaterShare: stats.pathPixels > 0 ? stats.waterPixels / stats.pathPixels : 0
+    });
+}
+
+function resetNetworkStats() {
+    networkStats = createNetworkStats();
+    renderNetworkStats();
+}
+
+// Replay allPaths into fresh totals, e.g. after restoring a session
+function rebuildNetworkStats() {
+    networkStats = createNetworkStats();
+    const roadPixels = new Set(createBaseUsageMap().keys());
+    allPaths.forEach(pathData => {
+        pathData.path.forEach(index => roadPixels.add(index));
+        addNetworkStats(pathData, roadPixels.size);
+    });
+    renderNetworkStats();
+}
+
+// Show the statistics as of a step: the whole network, or the timeline's step while it is open
+function renderNetworkStats(step = timeline ? timeline.step : allPaths.length) {
+    const sample = networkStats.history[step - 1];
+    statsEmpty.style.display = sample ? 'none' : 'block';
+    statsContent.style.display = sample ? 'block' : 'none';
+    if (!sample) return;
+
+    statsValues.innerHTML = '';
+    const rows = [['Paths', step.toLocaleString()]];
+    Object.entries(STATS_METRICS).forEach(([key, metric]) => rows.push([metric.label, metric.format(sample[key])]));
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        statsValues.appendChild(term);
+        statsValues.appendChild(detail);
+    });
+
+    drawEfficiencyHistogram(step);
+    drawStatsChart(step);
+}
+
+function drawEfficiencyHistogram(step) {
+    const ctx = efficiencyHistogram.getContext('2d');
+    const { width, height } = efficiencyHistogram;
+    ctx.clearRect(0, 0, width, height);
+
+    const counts = new Array(EFFICIENCY_BINS.length).fill(0);
+    for (let i = 0; i < step; i++) {
+        counts[EFFICIENCY_BINS.findIndex(bin => allPaths[i].efficiency < bin.max)]++;
+    }
+    const maxCount = Math.max(...counts);
+    const labelHeight = 14;
+    const barWidth = width / counts.length;
+
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    counts.forEach((count, i) => {
+        const barHeight = (height - 2 * labelHeight) * count / maxCount;
+        const x = i * barWidth;
+        ctx.fillStyle = '#007bff';
+        ctx.fillRect(x + 2, height - labelHeight - barHeight, barWidth - 4, barHeight);
+        ctx.fillStyle = '#333';
+        if (count > 0) {
+            ctx.fillText(String(count), x + barWidth / 2, height - labelHeight - barHeight - 3);
+        }
+        ctx.fillStyle = '#666';
+        ctx.fillText(EFFICIENCY_BINS[i].label, x + barWidth / 2, height - 3);
+    });
+}
+
+// Line chart of the selected metric over all paths, marking the timeline's step
+function drawStatsChart(step) {
+    const ctx = statsChart.getContext('2d');
+    const { width, height } = statsChart;
+    ctx.clearRect(0, 0, width, height);
+
+    const { history } = networkStats;
+    const metric = STATS_METRICS[statsMetricSelect.value];
+    const values = history.map(sample => sample[statsMetricSelect.value]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const padding = 14;
+    const xAt = i => history.length > 1 ? i / (history.length - 1) * width : width / 2;
+    const yAt = value => height - padding - (value - min) / range * (height - 2 * padding);
+
+    // One point per canvas column is plenty, however long the history
+    ctx.beginPath();
+    const stride = Math.max(1, Math.floor(history.length / width));
+    for (let i = 0; i < history.length; i += stride) {
+        ctx[i === 0 ? 'moveTo' : 'lineTo'](xAt(i), yAt(values[i]));
+    }
+    ctx.lineTo(xAt(history.length - 1), yAt(values[history.length - 1]));
+    ctx.strokeStyle = '#007bff';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    if (step < history.length) {
+        ctx.beginPath();
+        ctx.moveTo(xAt(step - 1), 0);
+        ctx.lineTo(xAt(step - 1), height);
+        ctx.strokeStyle = 'rgba(220, 53, 69, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = '#666';
+    ctx.textAlign = 'left';
+    ctx.fillText(metric.format(max), 3, 10);
+    ctx.fillText(metric.format(min), 3, height - 3);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${history.length} paths`, width - 3, height - 3);
+}
+
+function populateStatsMetricOptions() {
+    Object.entries(STATS_METRICS).forEach(([key, metric]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = metric.label;
+        statsMetricSelect.appendChild(option);
+    });
+}
+
+populateStatsMetricOptions();
+statsMetricSelect.addEventListener('change', () => renderNetworkStats());
+
 function masterDraw() {
     // A single function to redraw the entire state of all canvases.
     // Useful for when the tab becomes visible again.
@@ -372,7 +955,7 @@ function masterDraw() {
     if (exploredCanvas && isPathfindingActive) {
         animationCtx.drawImage(exploredCanvas, 0, 0);
     }
-    drawAllRoads(); // Redraws permanent roads
+    redrawRoads(); // Redraws permanent roads
     drawCities(currentStartCityName, currentEndCityName); // Redraws cities with active highlights
 }
 
@@ -411,13 +994,30 @@ window.addEventListener('load', () => {
 });
 
 function drawCities(activeCity1Name = null, activeCity2Name = null) {
+    drawCityMarkers(activeCity1Name, activeCity2Name);
+
+    if (isPathfindingActive) {
+        animationFrameId = requestAnimationFrame(drawSearchTendrils);
+    } else {
+        // If pathfinding just stopped, do one last draw of any remaining explored areas.
+        animationCtx.clearRect(0, 0, mapWidth, mapHeight);
+        if (exploredCanvas) {
+            animationCtx.drawImage(exploredCanvas, 0, 0);
+        }
+    }
+}
+
+function drawCityMarkers(activeCity1Name = null, activeCity2Name = null) {
     cityCtx.clearRect(0, 0, mapWidth, mapHeight);
 
+    // Markers and labels shrink in map pixels as the view zooms in, so they keep the same size on screen
+    const size = 1 / viewScale;
+
     cities.forEach(city => {
         const isActive = city.name === activeCity1Name || city.name === activeCity2Name;
 
         // Smaller cities: 6px normal, 12px for active
-        const radius = isActive ? 12 : 6;
+        const radius = (isActive ? 12 : 6) * size;
         
         cityCtx.beginPath();
         cityCtx.arc(city.x, city.y, radius, 0, Math.PI * 2);
@@ -426,26 +1026,158 @@ function drawCities(activeCity1Name = null, activeCity2Name = null) {
         
         // Add black border for better visibility
         cityCtx.strokeStyle = 'black';
-        cityCtx.lineWidth = isActive ? 2 : 1;
+        cityCtx.lineWidth = (isActive ? 2 : 1) * size;
         cityCtx.stroke();
         
         // Smaller font for city names
         cityCtx.fillStyle = 'black';
-        cityCtx.font = isActive ? 'bold 14px sans-serif' : '12px sans-serif';
-        cityCtx.fillText(city.name, city.x + radius + 6, city.y + 6);
+        cityCtx.font = isActive ? `bold ${14 * size}px sans-serif` : `${12 * size}px sans-serif`;
+        cityCtx.fillText(city.name, city.x + radius + 6 * size, city.y + 6 * size);
     });
+}
 
-    if (isPathfindingActive) {
-        animationFrameId = requestAnimationFrame(drawSearchTendrils);
-    } else {
-        // If pathfinding just stopped, do one last draw of any remaining explored areas.
-        animationCtx.clearRect(0, 0, mapWidth, mapHeight);
-        if (exploredCanvas) {
-            animationCtx.drawImage(exploredCanvas, 0, 0);
+// Keep the zoomed map covering the container: no empty space past its edges
+function clampViewOffset() {
+    const width = mapContainer.clientWidth;
+    const height = mapContainer.clientHeight;
+    viewOffsetX = Math.min(0, Math.max(width - width * viewScale, viewOffsetX));
+    viewOffsetY = Math.min(0, Math.max(height - height * viewScale, viewOffsetY));
+}
+
+function applyViewTransform() {
+    clampViewOffset();
+    viewportElement.style.transform = `translate(${viewOffsetX}px, ${viewOffsetY}px) scale(${viewScale})`;
+
+    // City markers depend on the zoom level; redraw them at most once per frame
+    if (!cityRedrawPending) {
+        cityRedrawPending = true;
+        requestAnimationFrame(() => {
+            cityRedrawPending = false;
+            drawCityMarkers(currentStartCityName, currentEndCityName);
+            drawRoutePreview();
+        });
+    }
+}
+
+// Zoom to newScale keeping the container point (originX, originY) fixed on screen
+function zoomView(newScale, originX, originY) {
+    const scale = Math.min(MAX_VIEW_SCALE, Math.max(MIN_VIEW_SCALE, newScale));
+    viewOffsetX = originX - (originX - viewOffsetX) * scale / viewScale;
+    viewOffsetY = originY - (originY - viewOffsetY) * scale / viewScale;
+    viewScale = scale;
+    applyViewTransform();
+}
+
+function panView(dx, dy) {
+    viewOffsetX += dx;
+    viewOffsetY += dy;
+    applyViewTransform();
+}
+
+function resetView() {
+    viewScale = 1;
+    viewOffsetX = 0;
+    viewOffsetY = 0;
+    applyViewTransform();
+}
+
+// Container-relative position of a pointer or wheel event
+function getContainerPoint(event) {
+    const rect = mapContainer.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+// Map pixel under a pointer event, accounting for pan, zoom and the canvas stretch
+function screenToMapPixel(event) {
+    const point = getContainerPoint(event);
+    return {
+        x: (point.x - viewOffsetX) / viewScale * mapWidth / mapContainer.clientWidth,
+        y: (point.y - viewOffsetY) / viewScale * mapHeight / mapContainer.clientHeight
+    };
+}
+
+mapContainer.addEventListener('wheel', event => {
+    event.preventDefault();
+    const { x, y } = getContainerPoint(event);
+    const deltaY = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY; // Lines to pixels
+    zoomView(viewScale * Math.exp(-deltaY * 0.0015), x, y);
+}, { passive: false });
+
+mapContainer.addEventListener('pointerdown', event => {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    mapContainer.setPointerCapture(event.pointerId);
+    activePointers.set(event.pointerId, getContainerPoint(event));
+    pointerDownPoint = activePointers.size === 1 ? getContainerPoint(event) : null; // A second finger makes it a pinch
+    mapContainer.classList.add('panning');
+    hideRoadTooltip();
+});
+
+mapContainer.addEventListener('pointermove', event => {
+    const previous = activePointers.get(event.pointerId);
+    if (!previous) {
+        if (event.pointerType === 'mouse' && activePointers.size === 0) {
+            scheduleRoadHover(event);
         }
+        return;
+    }
+    const current = getContainerPoint(event);
+
+    if (activePointers.size === 1) {
+        activePointers.set(event.pointerId, current);
+        panView(current.x - previous.x, current.y - previous.y);
+        return;
+    }
+
+    // Pinch: follow the midpoint of the first two pointers and scale by their spread
+    const [first, second] = Array.from(activePointers.values());
+    const oldMidX = (first.x + second.x) / 2;
+    const oldMidY = (first.y + second.y) / 2;
+    const oldDistance = Math.hypot(first.x - second.x, first.y - second.y);
+    activePointers.set(event.pointerId, current);
+    const [newFirst, newSecond] = Array.from(activePointers.values());
+    const midX = (newFirst.x + newSecond.x) / 2;
+    const midY = (newFirst.y + newSecond.y) / 2;
+    const distance = Math.hypot(newFirst.x - newSecond.x, newFirst.y - newSecond.y);
+
+    viewOffsetX += midX - oldMidX;
+    viewOffsetY += midY - oldMidY;
+    zoomView(oldDistance > 0 ? viewScale * distance / oldDistance : viewScale, midX, midY);
+});
+
+function endPointer(event) {
+    activePointers.delete(event.pointerId);
+    if (activePointers.size === 0) {
+        mapContainer.classList.remove('panning');
+        pointerDownPoint = null;
+    }
+}
+
+function handleMapClick(event) {
+    if (routeMode) {
+        addRoutePoint(screenToMapPixel(event));
+        return;
+    }
+    const city = findCityNear(screenToMapPixel(event));
+    if (city) {
+        showCityInspector(city);
     }
 }
 
+mapContainer.addEventListener('pointerup', event => {
+    // A press that barely moved is a click on the map rather than a pan
+    if (pointerDownPoint && activePointers.size === 1 && activePointers.has(event.pointerId)) {
+        const point = getContainerPoint(event);
+        if (Math.hypot(point.x - pointerDownPoint.x, point.y - pointerDownPoint.y) <= CLICK_MOVE_TOLERANCE) {
+            handleMapClick(event);
+        }
+    }
+    endPointer(event);
+});
+mapContainer.addEventListener('pointercancel', endPointer);
+mapContainer.addEventListener('pointerleave', hideRoadTooltip);
+mapContainer.addEventListener('dblclick', resetView);
+window.addEventListener('resize', applyViewTransform);
+
 function drawSearchTendrils() {
     // Clear the animation canvas
     animationCtx.clearRect(0, 0, mapWidth, mapHeight);
@@ -486,12 +1218,18 @@ function drawSearchTendrils() {
     }
 }
 
-function getGradientColor(rank) {
-    // Rank 0 is red, ranks 1-9 interpolate from red to black.
-    if (rank === 0) return 'rgb(255, 0, 0)'; // Brightest red for top rank
-    const t = rank / 9; // interpolation factor from 0 to 1
-    const r = Math.round(255 * (1 - t));
-    return `rgb(${r}, 0, 0)`;
+// Colour at t (0-1) along the selected heatmap ramp
+function getGradientColor(t) {
+    const stops = ROAD_COLOR_RAMPS[colorRampSelect.value] || ROAD_COLOR_RAMPS.heat;
+    let upper = 1;
+    while (upper < stops.length - 1 && stops[upper][0] < t) {
+        upper++;
+    }
+    const [position0, color0] = stops[upper - 1];
+    const [position1, color1] = stops[upper];
+    const f = Math.min(1, Math.max(0, (t - position0) / (position1 - position0)));
+    const [r, g, b] = color0.map((channel, i) => Math.round(channel + (color1[i] - channel) * f));
+    return `rgb(${r}, ${g}, ${b})`;
 }
 
 function calculateRoadProperties(maxUsage) {
@@ -502,15 +1240,16 @@ function calculateRoadProperties(maxUsage) {
     };
 }
 
-function updatePathProperties() {
+// paths and usageMap default to the live network; the timeline passes an earlier state
+function updatePathProperties(paths = allPaths, usageMap = roadUsageMap) {
     // Only recalculate properties for paths that might have changed
-    allPaths.forEach(pathData => {
+    paths.forEach(pathData => {
         const path = pathData.path || pathData; // Handle both old and new format
         
         // Find the maximum usage for this path
         let maxUsage = 0;
         path.forEach(index => {
-            const usage = roadUsageMap.get(index) || 0;
+            const usage = usageMap.get(index) || 0;
             maxUsage = Math.max(maxUsage, usage);
         });
         
@@ -524,10 +1263,16 @@ function updatePathProperties() {
     });
 }
 
-function drawAllRoads() {
+function drawAllRoads(paths = allPaths, usageMap = roadUsageMap) {
     roadCtx.clearRect(0, 0, mapWidth, mapHeight);
+    drawImportedRoads();
 
-    allPaths.forEach(pathData => {
+    if (roadRenderMode === 'heatmap') {
+        drawUsageHeatmap(paths, usageMap);
+        return;
+    }
+
+    paths.forEach(pathData => {
         const path = pathData.path || pathData; // Handle both old and new format
         
         // Use cached properties if available
@@ -537,50 +1282,379 @@ function drawAllRoads() {
         roadCtx.strokeStyle = strokeStyle;
         roadCtx.lineWidth = lineWidth;
         roadCtx.beginPath();
-        
-        // Convert path to coordinates and draw
-        let isFirst = true;
-        path.forEach(index => {
-            const x = index % mapWidth;
-            const y = Math.floor(index / mapWidth);
-            if (isFirst) {
-                roadCtx.moveTo(x, y);
-                isFirst = false;
-            } else {
-                roadCtx.lineTo(x, y);
-            }
-        });
-        
+        traceRoadPath(pathData, path);
         roadCtx.stroke();
     });
 }
 
-function clearExploredAreas() {
-    if (exploredPixelsBitmap) {
-        exploredPixelsBitmap.fill(0); // Reset the bitmap
+// Imported roads sit underneath the simulated ones in every road style
+function drawImportedRoads() {
+    if (!importedRoads) return;
+    roadCtx.strokeStyle = 'rgba(90, 90, 110, 0.7)';
+    roadCtx.lineWidth = 2;
+    roadCtx.beginPath();
+    importedRoads.pieces.forEach(piece => traceRoadPath(piece, piece.path));
+    roadCtx.stroke();
+}
+
+function traceRoadPath(pathData, path) {
+    if (simplifyTolerance > 0 || smoothRoads) {
+        traceRoad(roadCtx, getDisplayPoints(pathData, path));
+        return;
     }
-    if (exploredCtx) {
-        exploredCtx.clearRect(0, 0, mapWidth, mapHeight);
+    // Convert path to coordinates and draw
+    let isFirst = true;
+    path.forEach(index => {
+        const x = index % mapWidth;
+        const y = Math.floor(index / mapWidth);
+        if (isFirst) {
+            roadCtx.moveTo(x, y);
+            isFirst = false;
+        } else {
+            roadCtx.lineTo(x, y);
+        }
+    });
+}
+
+// Vertices to draw for a path, simplified with the current tolerance and cached on the path data.
+// The exports go through the same simplifyPath.
+function getDisplayPoints(pathData, path) {
+    if (simplifyTolerance > 0 && pathData.displayTolerance === simplifyTolerance) {
+        return pathData.displayPoints;
     }
-    if (animationCtx) {
-        animationCtx.clearRect(0, 0, mapWidth, mapHeight);
+    const points = path.map(index => ({ x: index % mapWidth, y: Math.floor(index / mapWidth) }));
+    if (simplifyTolerance === 0) {
+        return points; // Every pixel: not worth keeping around
     }
+    pathData.displayPoints = simplifyPath(getMapState(), path, simplifyTolerance).map(i => points[i]);
+    pathData.displayTolerance = simplifyTolerance;
+    return pathData.displayPoints;
 }
 
-function drawLightning(path) {
-    animationCtx.clearRect(0, 0, mapWidth, mapHeight);
-    
-    const pathCoords = path.map(index => ({
-        x: index % mapWidth,
-        y: Math.floor(index / mapWidth)
+// Add a road's line to the current canvas path; smoothed roads are Catmull-Rom splines through the vertices
+function traceRoad(ctx, points) {
+    if (points.length === 0) return;
+    ctx.moveTo(points[0].x, points[0].y);
+    if (!smoothRoads || points.length < 3) {
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        return;
+    }
+    for (let i = 0; i < points.length - 1; i++) {
+        const p0 = points[Math.max(0, i - 1)];
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = points[Math.min(points.length - 1, i + 2)];
+        ctx.bezierCurveTo(
+            p1.x + (p2.x - p0.x) / 6, p1.y + (p2.y - p0.y) / 6,
+            p2.x - (p3.x - p1.x) / 6, p2.y - (p3.y - p1.y) / 6,
+            p2.x, p2.y
+        );
+    }
+}
+
+// Heatmap mode: each segment is coloured and widened by its usage in roadUsageMap, on a log
+// scale so the busiest corridors don't wash out the rest. Shared segments are drawn once.
+function drawUsageHeatmap(paths, usageMap) {
+    const segmentsByLevel = Array.from({ length: HEATMAP_LEVELS }, () => []);
+    const seenSegments = new Set();
+    let maxUsage = 1;
+    usageMap.forEach(usage => {
+        maxUsage = Math.max(maxUsage, usage);
+    });
+    const logMax = Math.log(1 + maxUsage);
+
+    paths.forEach(pathData => {
+        const path = pathData.path || pathData; // Handle both old and new format
+        for (let i = 1; i < path.length; i++) {
+            const a = path[i - 1];
+            const b = path[i];
+            const key = a < b ? a * mapWidth * mapHeight + b : b * mapWidth * mapHeight + a;
+            if (seenSegments.has(key)) continue;
+            seenSegments.add(key);
+
+            // A segment is only as busy as the less used of its two pixels
+            const usage = Math.min(usageMap.get(a) || 0, usageMap.get(b) || 0);
+            const level = Math.min(HEATMAP_LEVELS - 1, Math.floor(Math.log(1 + usage) / logMax * HEATMAP_LEVELS));
+            segmentsByLevel[level].push(a, b);
+        }
+    });
+
+    // Quiet roads first, so busy ones end up on top
+    roadCtx.lineCap = 'round';
+    segmentsByLevel.forEach((segments, level) => {
+        if (segments.length === 0) return;
+        const t = (level + 0.5) / HEATMAP_LEVELS;
+        roadCtx.strokeStyle = getGradientColor(t);
+        roadCtx.lineWidth = 1 + 4 * t;
+        roadCtx.beginPath();
+        for (let i = 0; i < segments.length; i += 2) {
+            roadCtx.moveTo(segments[i] % mapWidth, Math.floor(segments[i] / mapWidth));
+            roadCtx.lineTo(segments[i + 1] % mapWidth, Math.floor(segments[i + 1] / mapWidth));
+        }
+        roadCtx.stroke();
+    });
+    roadCtx.lineCap = 'butt';
+
+    updateRoadLegend(maxUsage);
+}
+
+// Every drawn road pixel has been used at least once, so the bar runs from usage 1 to the maximum
+// on the heatmap's log(1 + usage) scale
+function updateRoadLegend(maxUsage) {
+    const logMax = Math.log(1 + maxUsage);
+    const start = Math.log(2) / logMax;
+    const stops = [];
+    for (let i = 0; i <= 10; i++) {
+        stops.push(`${getGradientColor(start + (1 - start) * i / 10)} ${i * 10}%`);
+    }
+    roadLegendBar.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+    roadLegendMin.textContent = '1';
+    roadLegendMid.textContent = String(Math.round(Math.sqrt(2 * (1 + maxUsage)) - 1)); // Midpoint of the log scale
+    roadLegendMax.textContent = String(maxUsage);
+}
+
+function setRoadRenderMode(mode) {
+    roadRenderMode = mode === 'heatmap' ? 'heatmap' : 'classic';
+    colorRampSelect.disabled = roadRenderMode !== 'heatmap';
+    roadLegend.style.display = roadRenderMode === 'heatmap' ? 'block' : 'none';
+    redrawRoads();
+}
+
+roadStyleSelect.addEventListener('change', () => setRoadRenderMode(roadStyleSelect.value));
+colorRampSelect.addEventListener('change', () => redrawRoads());
+simplifyToleranceInput.addEventListener('change', () => {
+    simplifyTolerance = Math.max(0, Number(simplifyToleranceInput.value) || 0);
+    simplifyToleranceInput.value = simplifyTolerance;
+    redrawRoads();
+});
+smoothRoadsInput.addEventListener('change', () => {
+    smoothRoads = smoothRoadsInput.checked;
+    redrawRoads();
+});
+
+// Debug overlays: the worker renders its elevation, water, city influence or move cost grid
+// as an image, shown over the display map at the chosen opacity
+function requestOverlay() {
+    if (overlayMode === 'none') {
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+        return;
+    }
+    if (overlayRequestInFlight) {
+        overlayRefreshQueued = true; // Render again once the current image arrives
+        return;
+    }
+    overlayRequestInFlight = true;
+    worker.postMessage({ type: 'renderOverlay', payload: { mode: overlayMode } });
+}
+
+function handleOverlayImage(payload) {
+    overlayRequestInFlight = false;
+    if (overlayRefreshQueued) {
+        // The mode or the grids changed while this image was rendered
+        overlayRefreshQueued = false;
+        requestOverlay();
+        return;
+    }
+    if (payload.error) {
+        console.warn(`Overlay not rendered: ${payload.error}`);
+        return;
+    }
+    if (payload.mode !== overlayMode || payload.width !== overlayCanvas.width || payload.height !== overlayCanvas.height) return;
+    overlayCtx.putImageData(new ImageData(payload.pixels, payload.width, payload.height), 0, 0);
+}
+
+function setOverlayMode(mode) {
+    overlayMode = mode;
+    refreshOverlayButton.disabled = mode === 'none';
+    overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+    requestOverlay();
+}
+
+overlaySelect.addEventListener('change', () => setOverlayMode(overlaySelect.value));
+overlayOpacityInput.addEventListener('input', () => {
+    overlayCanvas.style.opacity = overlayOpacityInput.value / 100;
+});
+overlayCanvas.style.opacity = overlayOpacityInput.value / 100;
+refreshOverlayButton.addEventListener('click', requestOverlay);
+
+// Redraw the road canvas for whatever is on screen: the live network or a timeline step
+function redrawRoads() {
+    if (timeline) {
+        renderTimelineStep(timeline.step);
+    } else {
+        drawAllRoads();
+    }
+}
+
+// Timeline: allPaths is in the order paths joined the network, so the usage and city visits as of
+// any step can be rebuilt from it. Moving forward only adds the new paths; moving back starts over.
+function updateTimelineControls() {
+    const total = allPaths.length;
+    timelineSlider.max = total;
+    timelineSlider.disabled = total === 0 || !!batchRun;
+    timelinePlayButton.disabled = total === 0 || !!batchRun;
+    if (!timeline) {
+        timelineSlider.value = total;
+        timelineLabel.textContent = total === 0 ? 'No paths yet' : `Live: ${total} paths`;
+    } else {
+        timelineLabel.textContent = `Step ${timeline.step} / ${total}`;
+    }
+}
+
+function enterTimeline() {
+    if (timeline || batchRun || allPaths.length === 0) return;
+    timeline = {
+        step: allPaths.length,
+        builtStep: 0,
+        usage: createBaseUsageMap(),
+        visits: new Map(),
+        playing: false,
+        timerId: null,
+        liveWaiting: false
+    };
+    timelineLiveButton.disabled = false;
+    cancelAnimationFrame(animationFrameId); // Stop drawing live search tendrils
+    isPathfindingActive = false;
+    clearExploredAreas();
+}
+
+function renderTimelineStep(step) {
+    if (step < timeline.builtStep) {
+        timeline.builtStep = 0;
+        timeline.usage = createBaseUsageMap();
+        timeline.visits = new Map();
+    }
+    for (let i = timeline.builtStep; i < step; i++) {
+        const pathData = allPaths[i];
+        pathData.path.forEach(index => timeline.usage.set(index, (timeline.usage.get(index) || 0) + 1));
+        getPassedCities(pathData).forEach(name => timeline.visits.set(name, (timeline.visits.get(name) || 0) + 1));
+    }
+    timeline.builtStep = step;
+    timeline.step = step;
+
+    const paths = allPaths.slice(0, step);
+    updatePathProperties(paths, timeline.usage);
+    drawAllRoads(paths, timeline.usage);
+    updateLeaderboard(timeline.visits);
+    renderNetworkStats(step);
+
+    // Highlight the path that was added at this step
+    const latest = paths[paths.length - 1];
+    drawCityMarkers(latest ? latest.startCity : null, latest ? latest.endCity : null);
+
+    timelineSlider.value = step;
+    updateTimelineControls();
+}
+
+function seekTimeline(step) {
+    enterTimeline();
+    if (!timeline) return;
+    renderTimelineStep(Math.max(0, Math.min(allPaths.length, step)));
+}
+
+function playTimeline() {
+    enterTimeline();
+    if (!timeline) return;
+    if (timeline.step >= allPaths.length) {
+        renderTimelineStep(0); // Play from the start when already at the end
+    }
+    timeline.playing = true;
+    timelinePlayButton.textContent = 'Pause';
+
+    const tick = () => {
+        if (!timeline || !timeline.playing) return;
+        if (timeline.step >= allPaths.length) {
+            pauseTimeline();
+            return;
+        }
+        renderTimelineStep(timeline.step + 1);
+        timeline.timerId = setTimeout(tick, 1000 / Number(timelineSpeedSelect.value));
+    };
+    tick();
+}
+
+function pauseTimeline() {
+    if (!timeline) return;
+    timeline.playing = false;
+    clearTimeout(timeline.timerId);
+    timelinePlayButton.textContent = 'Play';
+}
+
+// Close the timeline without touching the run, e.g. when a new run replaces the network
+function closeTimeline() {
+    if (!timeline) return;
+    pauseTimeline();
+    timeline = null;
+    timelineLiveButton.disabled = true;
+    updateTimelineControls();
+}
+
+// Back to the live network, letting a held run carry on
+function leaveTimeline() {
+    if (!timeline) return;
+    const { liveWaiting } = timeline;
+    closeTimeline();
+    tendrilsToDraw = [];
+
+    updatePathProperties();
+    drawAllRoads();
+    updateLeaderboard();
+    renderNetworkStats();
+    currentStartCityName = null;
+    currentEndCityName = null;
+    drawCities();
+
+    if (liveWaiting) {
+        onPathAnimationComplete();
+    }
+}
+
+timelineSlider.addEventListener('input', () => seekTimeline(Number(timelineSlider.value)));
+timelinePlayButton.addEventListener('click', () => {
+    if (timeline && timeline.playing) {
+        pauseTimeline();
+    } else {
+        playTimeline();
+    }
+});
+timelineLiveButton.addEventListener('click', leaveTimeline);
+
+function clearExploredAreas() {
+    if (exploredPixelsBitmap) {
+        exploredPixelsBitmap.fill(0); // Reset the bitmap
+    }
+    if (exploredCtx) {
+        exploredCtx.clearRect(0, 0, mapWidth, mapHeight);
+    }
+    if (animationCtx) {
+        animationCtx.clearRect(0, 0, mapWidth, mapHeight);
+    }
+}
+
+function drawLightning(path) {
+    animationCtx.clearRect(0, 0, mapWidth, mapHeight);
+    lightningActive = true;
+    
+    const pathCoords = path.map(index => ({
+        x: index % mapWidth,
+        y: Math.floor(index / mapWidth)
     }));
 
     let flashes = 0;
     const maxFlashes = 5;
+    const runId = sequentialRunId;
 
     function flash() {
+        // The network was reset meanwhile, and the canvases with it
+        if (runId !== sequentialRunId) {
+            lightningActive = false;
+            return;
+        }
         if (flashes >= maxFlashes) {
             animationCtx.clearRect(0, 0, mapWidth, mapHeight);
+            lightningActive = false;
             
             // Clear explored areas after lightning flash completes
             clearExploredAreas();
@@ -592,7 +1666,7 @@ function drawLightning(path) {
             // Re-enable start button after each path completes
             startButton.disabled = false;
             
-            worker.postMessage({ type: 'readyForNextPath' });
+            onPathAnimationComplete();
             return;
         }
 
@@ -623,9 +1697,27 @@ function drawPermanentRoad(pathCoords) {
     roadCtx.stroke();
 }
 
-startButton.addEventListener('click', async () => {
-    console.log('Starting simulation...');
+// Start a run: the animated simulation, or a headless batch of batchSize paths
+async function startRun(batchSize = 0) {
+    console.log(batchSize > 0 ? `Starting headless batch of ${batchSize} paths...` : 'Starting simulation...');
     startButton.disabled = true;
+    runBatchButton.disabled = true;
+    
+    const poolSize = Number(workerCountSelect.value);
+    closeTimeline();
+    await stopParallelRun();
+    cancelBatch();
+    
+    if (resumePending) {
+        // Continue a restored session: keep the network and the worker's usage grid as they are
+        setResumePending(false);
+        drawCities();
+        await setupWorkerPool(poolSize, true);
+        launchRun({ resume: true }, poolSize, batchSize);
+        console.log('Resuming restored session');
+        minimizeControls();
+        return;
+    }
     
     try {
         // Check if we have valid map dimensions
@@ -633,6 +1725,7 @@ startButton.addEventListener('click', async () => {
             console.error('Maps not loaded yet');
             alert('Please wait for maps to load before starting simulation');
             startButton.disabled = false;
+            runBatchButton.disabled = false;
             return;
         }
         
@@ -641,6 +1734,7 @@ startButton.addEventListener('click', async () => {
             console.error('No cities data available');
             alert('No cities data available. Please try switching regions.');
             startButton.disabled = false;
+            runBatchButton.disabled = false;
             return;
         }
         
@@ -670,7 +1764,11 @@ startButton.addEventListener('click', async () => {
         
         // Reset road data
         allPaths = [];
-        roadUsageMap.clear();
+        roadUsageMap = createBaseUsageMap(); // The worker starts over from the imported roads too
+        resetNetworkStats();
+        exportButton.disabled = true;
+        updateTimelineControls();
+        clearRoute();
         
         // Reset city visit tracking for new simulation
         cityVisitCounts.clear();
@@ -679,8 +1777,12 @@ startButton.addEventListener('click', async () => {
         // Redraw base state
         drawCities();
         
-        worker.postMessage({ type: 'start' });
-        console.log('Simulation start message sent to worker');
+        const seed = readSeed();
+        showSeed(seed);
+        
+        await setupWorkerPool(poolSize, false);
+        launchRun({ seed }, poolSize, batchSize);
+        console.log(`Simulation start message sent to worker (${poolSize} worker${poolSize > 1 ? 's' : ''})`);
         
         // Automatically minimize the menu when simulation starts
         minimizeControls();
@@ -691,66 +1793,1427 @@ startButton.addEventListener('click', async () => {
         console.error('Error starting simulation:', error);
         alert('Error starting simulation: ' + error.message);
         startButton.disabled = false;
+        runBatchButton.disabled = false;
+    }
+}
+
+// startOptions: {seed} for a fresh run, or {resume: true}
+function launchRun(startOptions, poolSize, batchSize) {
+    // Only the animated sequential run uses the worker's own loop
+    const loop = poolSize <= 1 && batchSize === 0;
+    sequentialRunId++;
+    worker.postMessage({ type: 'start', payload: { ...startOptions, loop, runId: sequentialRunId } });
+    
+    if (batchSize > 0) {
+        beginBatch(batchSize);
+        if (poolSize > 1) {
+            startParallelRun({ fastForward: true, remaining: batchSize });
+        } else {
+            worker.postMessage({ type: 'runBatch', payload: { batchId: batchRun.id, count: batchSize } });
+        }
+    } else {
+        if (poolSize > 1) {
+            startParallelRun();
+        }
+        runBatchButton.disabled = false; // A batch can take over from the animated run
+    }
+}
+
+startButton.addEventListener('click', () => startRun());
+
+// Headless batch mode: paths are recorded without animation and the roads are drawn once at the end
+function beginBatch(total) {
+    batchRun = { id: nextBatchId++, total, completed: 0, startTime: performance.now() };
+    batchProgress.textContent = `0 / ${total} paths`;
+    stopBatchButton.disabled = false;
+    updateTimelineControls();
+    if (recordFramesInput.checked) {
+        startFrameCapture();
+    }
+}
+
+function recordBatchPath(payload) {
+    recordPath(payload);
+    batchRun.completed++;
+    batchProgress.textContent = `${batchRun.completed} / ${batchRun.total} paths`;
+    if (frameCapture && batchRun.completed % frameCapture.interval === 0) {
+        // Batches only draw at the end, so bring the roads up to date for the frame
+        updatePathProperties();
+        drawAllRoads();
+        captureFrame();
+    }
+}
+
+function finishBatch() {
+    if (!batchRun) return;
+    const { completed, total, startTime } = batchRun;
+    batchRun = null;
+    
+    updatePathProperties();
+    drawAllRoads();
+    drawCities();
+    updateLeaderboard();
+    renderNetworkStats();
+    exportButton.disabled = allPaths.length === 0;
+    
+    if (frameCapture) {
+        // Always end on the finished network
+        if (completed % frameCapture.interval !== 0) {
+            captureFrame();
+        }
+        finishFrameCapture().catch(error => {
+            console.error('Error saving frames:', error);
+            recordingStatus.textContent = `Frames not saved: ${error.message}`;
+        });
+    }
+    
+    const seconds = ((performance.now() - startTime) / 1000).toFixed(1);
+    batchProgress.textContent = `${completed} / ${total} paths in ${seconds}s`;
+    console.log(`Headless batch complete: ${completed}/${total} paths in ${seconds}s`);
+    startButton.disabled = false;
+    runBatchButton.disabled = false;
+    stopBatchButton.disabled = true;
+    updateTimelineControls();
+}
+
+// Stop a running batch, keeping the paths found so far
+function cancelBatch() {
+    if (!batchRun) return;
+    worker.postMessage({ type: 'cancelBatch' });
+    if (parallelRun && parallelRun.fastForward) {
+        stopParallelRun();
+    }
+    finishBatch();
+}
+
+runBatchButton.addEventListener('click', () => {
+    const count = parseInt(batchCountInput.value, 10);
+    if (!Number.isInteger(count) || count < 1) {
+        alert('Enter the number of paths to run.');
+        return;
     }
+    startRun(count);
 });
 
-worker.onmessage = (e) => {
-    const { type, payload } = e.data;
+stopBatchButton.addEventListener('click', cancelBatch);
 
-    if (type === 'log') {
-        console.log(`Worker: ${payload}`);
-    } else if (type === 'citiesData') {
-        cities = payload;
-        drawCities();
-        // Re-enable start button when cities are loaded
-        if (!isPathfindingActive) {
-            startButton.disabled = false;
+// Inspector: hovering a road shows its usage, the paths through it and the terrain under it;
+// clicking a city shows its details and the routes that start, end or pass through it
+function scheduleRoadHover(event) {
+    // Handle at most one hover per frame
+    if (!pendingHoverEvent) {
+        requestAnimationFrame(() => {
+            const hoverEvent = pendingHoverEvent;
+            pendingHoverEvent = null;
+            updateRoadHover(hoverEvent);
+        });
+    }
+    pendingHoverEvent = event;
+}
+
+// Nearest pixel with road usage around a map position, or -1
+function findRoadPixelNear(pixel) {
+    const radius = Math.max(1, Math.ceil(ROAD_HOVER_RADIUS / viewScale * mapWidth / mapContainer.clientWidth));
+    const centerX = Math.round(pixel.x);
+    const centerY = Math.round(pixel.y);
+    let nearest = -1;
+    let nearestDistanceSq = Infinity;
+    for (let y = Math.max(0, centerY - radius); y <= Math.min(mapHeight - 1, centerY + radius); y++) {
+        for (let x = Math.max(0, centerX - radius); x <= Math.min(mapWidth - 1, centerX + radius); x++) {
+            const index = y * mapWidth + x;
+            const distanceSq = (x - pixel.x) ** 2 + (y - pixel.y) ** 2;
+            if (distanceSq < nearestDistanceSq && roadUsageMap.get(index) > 0) {
+                nearest = index;
+                nearestDistanceSq = distanceSq;
+            }
         }
-        console.log(`Loaded ${cities.length} cities`);
-    } else if (type === 'findingPath') {
-        isPathfindingActive = true;
-        clearExploredAreas();
-        const { from, to } = payload;
-        currentStartCityName = from;
-        currentEndCityName = to;
-        drawCities(from, to);
-        // Kick off the animation loop
-        animationFrameId = requestAnimationFrame(drawSearchTendrils);
-    } else if (type === 'pathfindingUpdate') {
-        tendrilsToDraw.push(...payload);
-        } else if (type === 'pathFound') {
-        isPathfindingActive = false; // Stop the animation loop
-        const { path, pathWithUsage, startCity, endCity } = payload;
-        
-        // Track cities that the path passes through
-        trackCitiesAlongPath(path);
-        
-        // Create path object with initial styling
-        const pathObj = {
-            path: path,
-            maxUsage: 0,
-            strokeStyle: 'rgba(0, 0, 0, 0.8)', // Default style
-            lineWidth: 1.5 // Default thickness
+    }
+    return nearest;
+}
+
+function updateRoadHover(event) {
+    if (!mapWidth || activePointers.size > 0) return;
+    const index = findRoadPixelNear(screenToMapPixel(event));
+    if (index === -1) {
+        hideRoadTooltip();
+        return;
+    }
+
+    const point = getContainerPoint(event);
+    if (hoveredRoad && hoveredRoad.index === index) {
+        hoveredRoad.point = point;
+    } else {
+        hoveredRoad = {
+            index,
+            point,
+            paths: allPaths.filter(pathData => pathData.path.includes(index)),
+            terrain: null // Filled in by the worker's pixelInfo reply
         };
-        allPaths.push(pathObj);
-        
-        // Update global usage map if we have usage data
-        if (pathWithUsage) {
-            pathWithUsage.forEach(({index, usage}) => {
-                roadUsageMap.set(index, usage + 1); // Add 1 for the new path
-            });
+        worker.postMessage({ type: 'inspectPixel', payload: { pixelIndex: index } });
+    }
+    renderRoadTooltip();
+}
+
+function renderRoadTooltip() {
+    if (!hoveredRoad) return;
+    const { index, point, paths, terrain } = hoveredRoad;
+    const lines = [
+        `Road pixel (${index % mapWidth}, ${Math.floor(index / mapWidth)})`,
+        `Usage: ${roadUsageMap.get(index) || 0}`
+    ];
+
+    if (!terrain) {
+        lines.push('Terrain: loading...');
+    } else if (terrain.error) {
+        lines.push(`Terrain: ${terrain.error}`);
+    } else {
+        lines.push(terrain.isWater ? 'Terrain: water' : `Terrain: land, elevation ${terrain.unit === 'm' ? `${Math.round(terrain.elevation)} m` : terrain.elevation}`);
+    }
+
+    lines.push(`Paths through it: ${paths.length}`);
+    paths.slice(0, INSPECTOR_LIST_LIMIT).forEach(pathData => {
+        lines.push(`  ${pathData.startCity} → ${pathData.endCity}`);
+    });
+    if (paths.length > INSPECTOR_LIST_LIMIT) {
+        lines.push(`  ...and ${paths.length - INSPECTOR_LIST_LIMIT} more`);
+    }
+
+    inspectorTooltip.textContent = lines.join('\n');
+    inspectorTooltip.style.left = `${point.x + 14}px`;
+    inspectorTooltip.style.top = `${point.y + 14}px`;
+    inspectorTooltip.style.display = 'block';
+}
+
+function hideRoadTooltip() {
+    hoveredRoad = null;
+    inspectorTooltip.style.display = 'none';
+}
+
+function handlePixelInfo(payload) {
+    if (hoveredRoad && hoveredRoad.index === payload.pixelIndex) {
+        hoveredRoad.terrain = payload;
+        renderRoadTooltip();
+    }
+}
+
+function showCityInspector(city) {
+    const routes = allPaths.filter(pathData =>
+        pathData.startCity === city.name ||
+        pathData.endCity === city.name ||
+        getPassedCities(pathData).includes(city.name)
+    );
+    const starting = routes.filter(pathData => pathData.startCity === city.name).length;
+    const ending = routes.filter(pathData => pathData.endCity === city.name).length;
+
+    const lines = [
+        `Population: ${Number(city.population).toLocaleString()}`,
+        `Lon/lat: ${city.lon.toFixed(4)}, ${city.lat.toFixed(4)}`,
+        `Visits: ${cityVisitCounts.get(city.name) || 0}`,
+        `Routes: ${routes.length} (${starting} starting, ${ending} ending, ${routes.length - starting - ending} passing)`
+    ];
+    routes.slice(0, INSPECTOR_LIST_LIMIT).forEach(pathData => {
+        lines.push(`  ${pathData.startCity} → ${pathData.endCity}`);
+    });
+    if (routes.length > INSPECTOR_LIST_LIMIT) {
+        lines.push(`  ...and ${routes.length - INSPECTOR_LIST_LIMIT} more`);
+    }
+
+    cityInspectorContent.replaceChildren();
+    const title = document.createElement('h3');
+    title.textContent = city.name;
+    const details = document.createElement('div');
+    details.textContent = lines.join('\n');
+    cityInspectorContent.append(title, details);
+    cityInspector.style.display = 'block';
+}
+
+function hideCityInspector() {
+    cityInspector.style.display = 'none';
+}
+
+cityInspectorCloseButton.addEventListener('click', hideCityInspector);
+
+// Timelapse recording. Frames composite the canvas stack in display order; search tendrils
+// can be left out, in which case the animation canvas only shows up for the lightning flash.
+function getRecordingSize() {
+    const scale = Math.min(1, MAX_RECORDING_WIDTH / mapWidth, MAX_RECORDING_HEIGHT / mapHeight);
+    // Even dimensions: some video encoders reject odd ones
+    return { width: Math.round(mapWidth * scale / 2) * 2, height: Math.round(mapHeight * scale / 2) * 2 };
+}
+
+function compositeCanvasStack(ctx, width, height) {
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(mapCanvas, 0, 0, width, height);
+    if (overlayMode !== 'none') {
+        ctx.globalAlpha = overlayOpacityInput.value / 100;
+        ctx.drawImage(overlayCanvas, 0, 0, width, height);
+        ctx.globalAlpha = 1;
+    }
+    ctx.drawImage(roadCanvas, 0, 0, width, height);
+    if (recordTendrilsInput.checked || lightningActive) {
+        ctx.drawImage(animationCanvas, 0, 0, width, height);
+    }
+    ctx.drawImage(routeCanvas, 0, 0, width, height);
+    ctx.drawImage(cityCanvas, 0, 0, width, height);
+}
+
+function readRecordingFps() {
+    const fps = parseInt(recordFpsInput.value, 10);
+    return Number.isInteger(fps) ? Math.min(60, Math.max(1, fps)) : 30;
+}
+
+function startVideoRecording() {
+    if (!mapWidth) {
+        alert('Please wait for maps to load before recording.');
+        return;
+    }
+    if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) {
+        alert('Video recording is not supported in this browser.');
+        return;
+    }
+
+    const { width, height } = getRecordingSize();
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    compositeCanvasStack(ctx, width, height);
+
+    const fps = readRecordingFps();
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(canvas.captureStream(fps), mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    recorder.ondataavailable = event => {
+        if (event.data.size > 0) {
+            chunks.push(event.data);
         }
-        
-        // Only update properties for paths that might have changed usage
-        updatePathProperties();
-        
-        // Redraw roads with updated colors
-        drawAllRoads();
-        
-        currentStartCityName = startCity.name;
-        currentEndCityName = endCity.name;
-        drawCities(startCity.name, endCity.name);
-        drawLightning(path);
+    };
+    recorder.onstop = () => {
+        const blob = new Blob(chunks, { type: recorder.mimeType || 'video/webm' });
+        downloadFile(`${currentRegion}_timelapse.webm`, blob, blob.type);
+        recordingStatus.textContent = `Saved video (${(blob.size / (1024 * 1024)).toFixed(1)} MB)`;
+    };
+
+    // Redraw the composite every animation frame; the stream samples it at the chosen rate
+    const recording = { recorder, frameId: null };
+    const drawFrame = () => {
+        if (videoRecording !== recording) return;
+        compositeCanvasStack(ctx, width, height);
+        recording.frameId = requestAnimationFrame(drawFrame);
+    };
+    videoRecording = recording;
+    recorder.start(1000); // Collect data every second so long recordings don't sit in one buffer
+    drawFrame();
+
+    recordVideoButton.textContent = 'Stop recording';
+    recordingStatus.textContent = `Recording ${width}x${height} at ${fps} fps...`;
+}
+
+function stopVideoRecording() {
+    if (!videoRecording) return;
+    const { recorder, frameId } = videoRecording;
+    videoRecording = null;
+    cancelAnimationFrame(frameId);
+    recorder.stop();
+    recordVideoButton.textContent = 'Record video';
+}
+
+function startFrameCapture() {
+    const interval = parseInt(frameIntervalInput.value, 10);
+    const { width, height } = getRecordingSize();
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    frameCapture = {
+        interval: Number.isInteger(interval) && interval > 0 ? interval : 10,
+        canvas,
+        ctx: canvas.getContext('2d'),
+        frames: []
+    };
+    captureFrame(); // The network as the batch starts
+}
+
+function captureFrame() {
+    const { canvas, ctx, frames } = frameCapture;
+    compositeCanvasStack(ctx, canvas.width, canvas.height);
+    // toBlob copies the canvas now, so the next frame can be drawn before this one is encoded
+    frames.push(new Promise(resolve => canvas.toBlob(resolve, 'image/png')));
+    recordingStatus.textContent = `Captured ${frames.length} frames`;
+}
+
+async function finishFrameCapture() {
+    const { frames } = frameCapture;
+    frameCapture = null;
+    recordingStatus.textContent = `Packing ${frames.length} frames...`;
+
+    const blobs = await Promise.all(frames);
+    // toBlob hands over null when the canvas could not be encoded
+    const failed = blobs.filter(blob => !blob).length;
+    if (failed > 0) {
+        throw new Error(`${failed} of ${blobs.length} frames could not be encoded.`);
+    }
+    const digits = Math.max(5, String(blobs.length).length);
+    const files = await Promise.all(blobs.map(async (blob, i) => ({
+        name: `frame_${String(i + 1).padStart(digits, '0')}.png`,
+        data: new Uint8Array(await blob.arrayBuffer())
+    })));
+    const zip = createZip(files);
+    downloadFile(`${currentRegion}_frames.zip`, zip, 'application/zip');
+    recordingStatus.textContent = `Saved ${files.length} frames (${(zip.size / (1024 * 1024)).toFixed(1)} MB)`;
+}
+
+// Minimal ZIP writer: stored (uncompressed) entries, which is fine for already compressed PNGs
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{name, data: Uint8Array}] -> Blob
+function createZip(files) {
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed
+        local.setUint16(8, 0, true); // Stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        parts.push(local, nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true); // Version needed
+        central.setUint16(10, 0, true); // Stored
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true); // Local header offset
+        centralDirectory.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, files.length, true); // Entries on this disk
+    end.setUint16(10, files.length, true); // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // Central directory offset
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+recordVideoButton.addEventListener('click', () => {
+    if (videoRecording) {
+        stopVideoRecording();
+    } else {
+        startVideoRecording();
+    }
+});
+
+// Click-to-route: two clicks pick the endpoints (snapping to nearby cities), the main worker
+// routes between them on the current network, and the result is previewed until the user
+// adds it as a road or discards it
+function setRouteMode(active) {
+    routeMode = active;
+    pickRouteButton.classList.toggle('active', active);
+    pickRouteButton.textContent = active ? 'Picking...' : 'Pick route';
+    if (active && routePoints.length === 0 && !routePreview) {
+        routeInfo.textContent = 'Click the origin city or map point.';
+    }
+}
+
+function clearRoute() {
+    routeRequestCount++; // Ignore the reply of a route still being searched
+    routePoints = [];
+    routePreview = null;
+    commitRouteButton.disabled = true;
+    discardRouteButton.disabled = true;
+    routeInfo.textContent = routeMode ? 'Click the origin city or map point.' : '';
+    drawRoutePreview();
+}
+
+function findCityNear(pixel) {
+    const radius = CITY_SNAP_RADIUS / viewScale * mapWidth / mapContainer.clientWidth; // In map pixels
+    let nearest = null;
+    let nearestDistance = radius;
+    cities.forEach(city => {
+        const distance = Math.hypot(city.x - pixel.x, city.y - pixel.y);
+        if (distance <= nearestDistance) {
+            nearest = city;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+function addRoutePoint(pixel) {
+    // The search rounds points to whole pixels, so a click near the right or bottom edge may round off the map
+    const x = Math.round(pixel.x);
+    const y = Math.round(pixel.y);
+    if (!mapWidth || x < 0 || x >= mapWidth || y < 0 || y >= mapHeight) return;
+
+    // A third click starts a new route
+    if (routePoints.length >= 2) {
+        clearRoute();
+    }
+
+    const city = findCityNear(pixel);
+    const point = city
+        ? { name: city.name, x: city.x, y: city.y, isCity: true }
+        : { name: `(${x}, ${y})`, x, y, isCity: false };
+
+    const origin = routePoints[0];
+    if (origin && Math.round(origin.x) === Math.round(point.x) && Math.round(origin.y) === Math.round(point.y)) {
+        routeInfo.textContent = 'The destination is the origin. Click another point.';
+        return;
+    }
+
+    routePoints.push(point);
+    discardRouteButton.disabled = false;
+    drawRoutePreview();
+
+    if (routePoints.length === 1) {
+        routeInfo.textContent = `Origin: ${point.name}. Click the destination.`;
+    } else {
+        requestRoute();
+    }
+}
+
+function requestRoute() {
+    const [startPoint, endPoint] = routePoints;
+    routeInfo.textContent = `Routing ${startPoint.name} → ${endPoint.name}...`;
+    worker.postMessage({ type: 'findRoute', payload: { routeId: ++routeRequestCount, startPoint, endPoint } });
+}
+
+function handleRouteFound(result) {
+    if (result.routeId !== routeRequestCount) return; // Discarded or replaced meanwhile
+
+    if (result.error) {
+        routeInfo.textContent = `No route: ${result.error}`;
+        routePoints = [];
+        drawRoutePreview();
+        return;
+    }
+
+    const { startPoint, endPoint } = result;
+    routePreview = result;
+    commitRouteButton.disabled = false;
+    routeInfo.textContent = `${startPoint.name} → ${endPoint.name}\n` +
+        `Cost: ${result.cost.toFixed(1)} | Length: ${result.geometricLength.toFixed(1)} px, ${result.lengthKm.toFixed(1)} km | Efficiency: ${result.efficiency.toFixed(2)}x`;
+    drawRoutePreview();
+}
+
+function drawRoutePreview() {
+    routeCtx.clearRect(0, 0, mapWidth, mapHeight);
+
+    // Keep the preview the same thickness on screen at every zoom level, like the city markers
+    const size = 1 / viewScale;
+
+    if (routePreview) {
+        routeCtx.strokeStyle = 'rgba(0, 123, 255, 0.9)';
+        routeCtx.lineWidth = 4 * size;
+        routeCtx.setLineDash([10 * size, 6 * size]);
+        routeCtx.beginPath();
+        routePreview.path.forEach((index, i) => {
+            const x = index % mapWidth;
+            const y = Math.floor(index / mapWidth);
+            if (i === 0) {
+                routeCtx.moveTo(x, y);
+            } else {
+                routeCtx.lineTo(x, y);
+            }
+        });
+        routeCtx.stroke();
+        routeCtx.setLineDash([]);
+    }
+
+    routePoints.forEach(point => {
+        routeCtx.beginPath();
+        routeCtx.arc(point.x, point.y, 7 * size, 0, Math.PI * 2);
+        routeCtx.fillStyle = '#007bff';
+        routeCtx.fill();
+        routeCtx.strokeStyle = 'white';
+        routeCtx.lineWidth = 2 * size;
+        routeCtx.stroke();
+    });
+}
+
+function commitRoute() {
+    if (!routePreview) return;
+    leaveTimeline(); // The new road joins the live network
+    const { path, startPoint, endPoint } = routePreview;
+
+    // Every worker lays the road, so pool workers keep identical grids
+    postToAllWorkers({ type: 'applyRoads', payload: { paths: [path] } });
+    recordPath({ ...routePreview, pathWithUsage: getPathWithUsage(path), startCity: startPoint, endCity: endPoint });
+    updatePathProperties();
+    drawAllRoads();
+    exportButton.disabled = false;
+    console.log(`Added route as road: ${startPoint.name} → ${endPoint.name}`);
+
+    clearRoute();
+}
+
+pickRouteButton.addEventListener('click', () => setRouteMode(!routeMode));
+commitRouteButton.addEventListener('click', commitRoute);
+discardRouteButton.addEventListener('click', clearRoute);
+
+// Usage of the imported roads alone, which is where every fresh run starts
+function createBaseUsageMap() {
+    const usage = new Map();
+    if (importedRoads) {
+        importedRoads.paths.forEach(path => path.forEach(index => usage.set(index, importedRoads.weight)));
+    }
+    return usage;
+}
+
+// pieces wrap the paths for drawing, which caches simplified vertices on them
+function setImportedRoads(roads) {
+    importedRoads = roads && { ...roads, pieces: roads.paths.map(path => ({ path })) };
+    updateImportControls();
+}
+
+function updateImportControls() {
+    removeRoadsButton.disabled = !importedRoads;
+    importInfo.textContent = importedRoads
+        ? `${importedRoads.name}: ${importedRoads.paths.length} road pieces, initial usage ${importedRoads.weight}`
+        : '';
+}
+
+// Parks the worker's sequential loop and waits for its running search, so the network can be replaced
+function pauseSequentialRun() {
+    return requestFromWorker({ type: 'pauseLoop' }, 'loopPaused');
+}
+
+// Importing or removing existing roads starts a new network from them
+function confirmReplaceNetwork(action) {
+    return allPaths.length === 0 || confirm(`${action} replaces the current network of ${allPaths.length} paths. Continue?`);
+}
+
+async function importRoadsFile(file) {
+    const weight = Number(importWeightInput.value);
+    if (!Number.isInteger(weight) || weight < 1 || weight > 65535) {
+        throw new Error('Initial usage must be a whole number from 1 to 65535.');
+    }
+    const geojson = JSON.parse(await file.text());
+    if (!confirmReplaceNetwork('Importing roads')) return;
+
+    resetSimulationState();
+    setResumePending(false);
+    importInfo.textContent = `Rasterising ${file.name}...`;
+    await pauseSequentialRun();
+    const result = await requestFromWorker({ type: 'importRoads', payload: { geojson, weight } }, 'roadsImported').catch(error => {
+        updateImportControls();
+        throw error;
+    });
+    if (result.paths.length === 0) {
+        updateImportControls();
+        throw new Error('No road lines fall inside the map.');
+    }
+
+    setImportedRoads({ name: file.name, weight, paths: result.paths });
+    roadUsageMap = createBaseUsageMap();
+    updateImportControls();
+    drawAllRoads();
+    drawCities();
+    console.log(`Imported ${result.lineCount} lines from ${file.name} as ${result.paths.length} road pieces (${result.pixelCount} pixels)`);
+}
+
+importRoadsButton.addEventListener('click', () => importRoadsInput.click());
+
+importRoadsInput.addEventListener('change', async () => {
+    const file = importRoadsInput.files[0];
+    importRoadsInput.value = ''; // Allow the same file to be imported again
+    if (!file) return;
+
+    try {
+        await importRoadsFile(file);
+    } catch (error) {
+        console.error('Error importing roads:', error);
+        alert('Error importing roads: ' + error.message);
+    }
+});
+
+removeRoadsButton.addEventListener('click', async () => {
+    if (!importedRoads || !confirmReplaceNetwork('Removing the imported roads')) return;
+    resetSimulationState();
+    setResumePending(false);
+    await pauseSequentialRun();
+    worker.postMessage({ type: 'setBaseRoads', payload: { baseRoads: null, apply: true } });
+    drawCities();
+    console.log('Removed imported roads');
+});
+
+function downloadFile(filename, contents, mimeType) {
+    const blob = new Blob([contents], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+exportButton.addEventListener('click', () => {
+    if (allPaths.length === 0) {
+        alert('No roads to export yet. Start the simulation first.');
+        return;
+    }
+
+    if (exportFormatSelect.value === 'graph') {
+        // The worker vectorises its own road grid; the paths only say which pixels follow which
+        const paths = (importedRoads ? importedRoads.paths : []).concat(allPaths.map(pathData => pathData.path));
+        worker.postMessage({ type: 'exportGraph', payload: { paths, tolerance: simplifyTolerance } });
+        console.log(`Exporting road graph of ${allPaths.length} paths`);
+        return;
+    }
+
+    // The worker owns the PGW transform, so send it the raw paths with their usage counts
+    const paths = allPaths.map(pathData => ({
+        path: pathData.path,
+        usage: pathData.path.map(index => roadUsageMap.get(index) || 0),
+        startCity: pathData.startCity,
+        endCity: pathData.endCity,
+        efficiency: pathData.efficiency
+    }));
+
+    worker.postMessage({ type: 'exportNetwork', payload: { paths, tolerance: simplifyTolerance } });
+    console.log(`Exporting ${paths.length} paths as GeoJSON`);
+});
+
+// Cost model parameters, in the order they appear in the panel
+const COST_MODEL_FIELDS = [
+    { key: 'waterCost', label: 'Water cost', min: 0, step: 0.5 },
+    { key: 'uphillFactor', label: 'Uphill factor', min: 0, step: 0.1 },
+    { key: 'downhillFactor', label: 'Downhill factor', min: 0, step: 0.05 },
+    { key: 'minMoveCost', label: 'Minimum move cost', min: 0.01, step: 0.01 },
+    { key: 'roadMaxUses', label: 'Road discount cap (uses)', min: 0, step: 1 },
+    { key: 'roadDiscountPerUse', label: 'Road discount per use', min: 0, step: 0.00125 },
+    { key: 'cityInfluenceRadius', label: 'City influence radius (px)', min: 0, step: 1 },
+    { key: 'cityBuffDistance', label: 'City buff distance (px)', min: 0, step: 1 },
+    { key: 'cityBuffFactor', label: 'City buff factor', min: 0, max: 0.99, step: 0.05 },
+    { key: 'highCostThreshold', label: 'High-cost pruning threshold', min: 0, step: 5 }
+];
+
+let regionCostDefaults = null; // The current region's defaults, as reported by the worker
+let currentCostModel = null; // The cost model in effect, as reported by the worker
+
+function renderCostModelFields() {
+    COST_MODEL_FIELDS.forEach(field => {
+        const label = document.createElement('label');
+        label.className = 'cost-model-field';
+        label.textContent = field.label;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = `cost-${field.key}`;
+        input.min = field.min;
+        input.step = field.step;
+        if (field.max != null) input.max = field.max;
+        
+        label.appendChild(input);
+        costModelFields.appendChild(label);
+    });
+}
+
+function fillCostModelFields(costModel) {
+    COST_MODEL_FIELDS.forEach(field => {
+        document.getElementById(`cost-${field.key}`).value = costModel[field.key];
+    });
+}
+
+function readCostModelFields() {
+    const costModel = {};
+    COST_MODEL_FIELDS.forEach(field => {
+        costModel[field.key] = parseFloat(document.getElementById(`cost-${field.key}`).value);
+    });
+    return costModel;
+}
+
+function validateCostModel(costModel) {
+    const invalidField = COST_MODEL_FIELDS.find(field => !Number.isFinite(costModel[field.key]) || costModel[field.key] < field.min);
+    if (invalidField) {
+        return `${invalidField.label} must be a number of at least ${invalidField.min}.`;
+    }
+    return getCostModelError(costModel); // The limits the workers enforce too
+}
+
+function applyCostModel(costModel) {
+    const error = validateCostModel(costModel);
+    if (error) {
+        alert(error);
+        return false;
+    }
+    postToAllWorkers({ type: 'setCostModel', payload: { costModel } });
+    return true;
+}
+
+// Presets are kept in localStorage, per region
+function getCostPresetStorageKey() {
+    return `costPresets:${currentRegion}`;
+}
+
+function loadCostPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(getCostPresetStorageKey())) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable cost presets:', error);
+        return {};
+    }
+}
+
+function refreshCostPresetOptions() {
+    const presets = loadCostPresets();
+    costPresetSelect.innerHTML = '<option value="">Presets…</option>';
+    Object.keys(presets).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        costPresetSelect.appendChild(option);
+    });
+}
+
+renderCostModelFields();
+
+applyCostModelButton.addEventListener('click', () => {
+    applyCostModel(readCostModelFields());
+});
+
+resetCostModelButton.addEventListener('click', () => {
+    if (!regionCostDefaults) return;
+    fillCostModelFields(regionCostDefaults);
+    applyCostModel(regionCostDefaults);
+});
+
+costPresetSelect.addEventListener('change', () => {
+    const preset = loadCostPresets()[costPresetSelect.value];
+    if (!preset) return;
+    costPresetNameInput.value = costPresetSelect.value;
+    fillCostModelFields({ ...regionCostDefaults, ...preset });
+    applyCostModel(readCostModelFields());
+});
+
+saveCostPresetButton.addEventListener('click', () => {
+    const name = costPresetNameInput.value.trim();
+    if (!name) {
+        alert('Enter a name for the preset.');
+        return;
+    }
+    const costModel = readCostModelFields();
+    const error = validateCostModel(costModel);
+    if (error) {
+        alert(error);
+        return;
+    }
+    const presets = loadCostPresets();
+    presets[name] = costModel;
+    localStorage.setItem(getCostPresetStorageKey(), JSON.stringify(presets));
+    refreshCostPresetOptions();
+    costPresetSelect.value = name;
+    console.log(`Cost preset "${name}" saved for ${currentRegion}`);
+});
+
+deleteCostPresetButton.addEventListener('click', () => {
+    const name = costPresetSelect.value;
+    if (!name) return;
+    const presets = loadCostPresets();
+    delete presets[name];
+    localStorage.setItem(getCostPresetStorageKey(), JSON.stringify(presets));
+    refreshCostPresetOptions();
+    costPresetNameInput.value = '';
+});
+
+// Session snapshots: the region, map type, every path, the worker's usage grid and the leaderboard
+const SESSION_VERSION = 1;
+const SESSION_DB_NAME = 'living-roads';
+const SESSION_STORE_NAME = 'sessions';
+const SESSION_KEY = 'latest';
+
+// Rejects when the reply carries an error
+function requestFromWorker(message, replyType, target = worker) {
+    return new Promise((resolve, reject) => {
+        if (!pendingWorkerReplies.has(target)) {
+            pendingWorkerReplies.set(target, new Map());
+        }
+        const replies = pendingWorkerReplies.get(target);
+        if (!replies.has(replyType)) {
+            replies.set(replyType, []);
+        }
+        replies.get(replyType).push({ resolve, reject });
+        target.postMessage(message);
+    });
+}
+
+// Returns true if the message was a reply someone was waiting for
+function resolveWorkerReply(target, type, payload) {
+    const replies = pendingWorkerReplies.get(target);
+    const waiting = replies && replies.get(type);
+    if (waiting && waiting.length > 0) {
+        const { resolve, reject } = waiting.shift();
+        if (payload && payload.error) {
+            reject(new Error(payload.error));
+        } else {
+            resolve(payload);
+        }
+        return true;
+    }
+    return false;
+}
+
+function postToAllWorkers(message) {
+    worker.postMessage(message);
+    helperWorkers.forEach(helper => helper.postMessage(message));
+}
+
+// Seed from the controls, or a fresh random one when left empty. The same seed,
+// region and parameters reproduce the same sequence of paths.
+function readSeed() {
+    const value = seedInput.value.trim();
+    if (value === '') {
+        return Math.floor(Math.random() * 4294967296);
+    }
+    return Number(value) >>> 0;
+}
+
+function showSeed(seed) {
+    seedInfo.textContent = seed != null ? `Seed used: ${seed}` : '';
+}
+
+function setResumePending(pending) {
+    resumePending = pending;
+    startButton.textContent = pending ? 'Continue' : 'Start';
+}
+
+async function createSessionSnapshot() {
+    // The worker's grid is the source of truth for usage; it comes back as flat [index, count, ...] pairs
+    const { width, height, entries, seed, rngState, costModel } = await requestFromWorker({ type: 'getSessionState' }, 'sessionState');
+
+    return {
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        region: currentRegion,
+        mapType: mapTypeSelect.value,
+        seed,
+        rngState,
+        costModel,
+        width,
+        height,
+        paths: allPaths.map(pathData => ({
+            path: pathData.path,
+            startCity: pathData.startCity,
+            endCity: pathData.endCity,
+            efficiency: pathData.efficiency,
+            geometricLength: pathData.geometricLength,
+            lengthKm: pathData.lengthKm,
+            steps: pathData.steps,
+            waterPixels: pathData.waterPixels
+        })),
+        roadUsage: entries,
+        importedRoads: importedRoads && { name: importedRoads.name, weight: importedRoads.weight, paths: importedRoads.paths },
+        cityVisitCounts: Array.from(cityVisitCounts.entries())
+    };
+}
+
+function validateSessionSnapshot(snapshot) {
+    if (!snapshot || snapshot.version !== SESSION_VERSION) {
+        throw new Error('Unsupported session format.');
+    }
+    if (!regionManifest.has(snapshot.region)) {
+        throw new Error(snapshot.region === CUSTOM_REGION_ID
+            ? 'Load the custom region files before restoring this session.'
+            : `Unknown region "${snapshot.region}".`);
+    }
+    if (!Array.isArray(snapshot.paths) || !Array.isArray(snapshot.roadUsage) || !Array.isArray(snapshot.cityVisitCounts)) {
+        throw new Error('Session file is incomplete.');
+    }
+}
+
+async function restoreSessionSnapshot(snapshot) {
+    validateSessionSnapshot(snapshot);
+    startButton.disabled = true;
+
+    resetSimulationState();
+    await pauseSequentialRun(); // A path still being searched must not land on the restored network
+
+    // Reload the maps if the session belongs to another region or map type
+    if (snapshot.region !== currentRegion || snapshot.mapType !== mapTypeSelect.value || !mapWidth) {
+        regionSelect.value = snapshot.region;
+        customRegionPanel.style.display = snapshot.region === CUSTOM_REGION_ID ? 'block' : 'none';
+        mapTypeSelect.value = snapshot.mapType;
+        cities = [];
+        await loadMaps(snapshot.region, snapshot.mapType);
+    }
+
+    if (snapshot.width !== mapWidth || snapshot.height !== mapHeight) {
+        throw new Error(`Session map size ${snapshot.width}x${snapshot.height} does not match the loaded map (${mapWidth}x${mapHeight}).`);
+    }
+
+    // The saved grid already holds the imported roads; the worker only needs them for the next fresh run
+    setImportedRoads(snapshot.importedRoads || null);
+    worker.postMessage({
+        type: 'setBaseRoads',
+        payload: { baseRoads: snapshot.importedRoads ? { paths: snapshot.importedRoads.paths, weight: snapshot.importedRoads.weight } : null, apply: false }
+    });
+
+    // Re-seed the worker grid so the simulation continues from where it stopped
+    await requestFromWorker({
+        type: 'restoreSessionState',
+        payload: {
+            entries: snapshot.roadUsage,
+            seed: snapshot.seed,
+            rngState: snapshot.rngState,
+            costModel: snapshot.costModel
+        }
+    }, 'sessionStateRestored');
+    showSeed(snapshot.seed);
+
+    for (let i = 0; i < snapshot.roadUsage.length; i += 2) {
+        roadUsageMap.set(snapshot.roadUsage[i], snapshot.roadUsage[i + 1]);
+    }
+    allPaths = snapshot.paths.map((pathData, i) => ({
+        step: i + 1,
+        ...pathData,
+        geometricLength: pathData.geometricLength || calculateGeometricLength(getMapState(), pathData.path),
+        lengthKm: pathData.lengthKm || calculateGroundLength(getMapState(), pathData.path),
+        maxUsage: 0,
+        strokeStyle: 'rgba(0, 0, 0, 0.8)',
+        lineWidth: 1.5
+    }));
+    snapshot.cityVisitCounts.forEach(([cityName, count]) => cityVisitCounts.set(cityName, count));
+
+    updatePathProperties();
+    updateLeaderboard();
+    updateTimelineControls();
+    rebuildNetworkStats();
+    masterDraw();
+
+    exportButton.disabled = allPaths.length === 0;
+    setResumePending(true);
+    startButton.disabled = false;
+    console.log(`Session restored: ${allPaths.length} paths in ${snapshot.region}`);
+}
+
+function openSessionDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SESSION_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(SESSION_STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function runSessionTransaction(mode, operation) {
+    const db = await openSessionDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(SESSION_STORE_NAME, mode);
+            const request = operation(transaction.objectStore(SESSION_STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+saveSessionButton.addEventListener('click', async () => {
+    try {
+        const snapshot = await createSessionSnapshot();
+        await runSessionTransaction('readwrite', store => store.put(snapshot, SESSION_KEY));
+        console.log(`Session saved: ${snapshot.paths.length} paths`);
+    } catch (error) {
+        console.error('Error saving session:', error);
+        alert('Error saving session: ' + error.message);
+    }
+});
+
+restoreSessionButton.addEventListener('click', async () => {
+    try {
+        const snapshot = await runSessionTransaction('readonly', store => store.get(SESSION_KEY));
+        if (!snapshot) {
+            alert('No saved session found.');
+            return;
+        }
+        await restoreSessionSnapshot(snapshot);
+    } catch (error) {
+        console.error('Error restoring session:', error);
+        alert('Error restoring session: ' + error.message);
+        startButton.disabled = false;
+    }
+});
+
+downloadSessionButton.addEventListener('click', async () => {
+    try {
+        const snapshot = await createSessionSnapshot();
+        downloadFile(`${currentRegion}_session.json`, JSON.stringify(snapshot), 'application/json');
+    } catch (error) {
+        console.error('Error downloading session:', error);
+        alert('Error downloading session: ' + error.message);
+    }
+});
+
+loadSessionButton.addEventListener('click', () => sessionFileInput.click());
+
+sessionFileInput.addEventListener('change', async () => {
+    const file = sessionFileInput.files[0];
+    sessionFileInput.value = ''; // Allow the same file to be loaded again
+    if (!file) return;
+
+    try {
+        await restoreSessionSnapshot(JSON.parse(await file.text()));
+    } catch (error) {
+        console.error('Error loading session file:', error);
+        alert('Error loading session file: ' + error.message);
+        startButton.disabled = false;
+    }
+});
+
+// Add a found path to the network data, without drawing anything
+function recordPath(payload) {
+    const { path, pathWithUsage, startCity, endCity, efficiency, geometricLength, lengthKm, steps, waterPixels } = payload;
+    
+    // Track cities that the path passes through
+    const passedCities = trackCitiesAlongPath(path);
+    
+    // Create path object with initial styling
+    const pathObj = {
+        step: allPaths.length + 1, // Order in which the path joined the network
+        path: path,
+        startCity: startCity.name,
+        endCity: endCity.name,
+        efficiency: efficiency,
+        geometricLength: geometricLength || calculateGeometricLength(getMapState(), path),
+        lengthKm: lengthKm || calculateGroundLength(getMapState(), path),
+        steps, // Search steps taken to find the path
+        waterPixels, // Path pixels on water
+        passedCities, // Cities the path starts at, ends at or passes close to
+        maxUsage: 0,
+        strokeStyle: 'rgba(0, 0, 0, 0.8)', // Default style
+        lineWidth: 1.5 // Default thickness
+    };
+    allPaths.push(pathObj);
+    updateTimelineControls();
+    
+    // Update global usage map if we have usage data
+    if (pathWithUsage) {
+        pathWithUsage.forEach(({index, usage}) => {
+            roadUsageMap.set(index, usage + 1); // Add 1 for the new path
+        });
+    }
+    
+    addNetworkStats(pathObj, roadUsageMap.size);
+    if (!batchRun) {
+        renderNetworkStats(); // Batches show their statistics when they finish
+    }
+}
+
+function handlePathFound(payload) {
+    isPathfindingActive = false; // Stop the animation loop
+    const { path, startCity, endCity } = payload;
+    
+    recordPath(payload);
+    
+    // While the timeline is open, keep the path but hold the run until the user goes back to live
+    if (timeline) {
+        timeline.liveWaiting = true;
+        exportButton.disabled = false;
+        return;
+    }
+    
+    // Only update properties for paths that might have changed usage
+    updatePathProperties();
+    
+    // Redraw roads with updated colors
+    drawAllRoads();
+    
+    currentStartCityName = startCity.name;
+    currentEndCityName = endCity.name;
+    drawCities(startCity.name, endCity.name);
+    drawLightning(path);
+    exportButton.disabled = false;
+}
+
+// Parallel runs: the main worker draws each batch of city pairs from its seeded generator, the pool
+// computes them concurrently against identical grids, and the main thread merges the roads in pair
+// order before the next batch. The same seed and pool size therefore give the same network.
+// Completed paths are replayed through the normal animation, in order.
+let parallelBatchPromise = Promise.resolve();
+
+function populateWorkerCountOptions() {
+    const maxWorkers = Math.max(1, Math.min(8, navigator.hardwareConcurrency || 1));
+    for (let count = 1; count <= maxWorkers; count++) {
+        const option = document.createElement('option');
+        option.value = count;
+        option.textContent = count === 1 ? '1 (sequential)' : `${count} workers`;
+        workerCountSelect.appendChild(option);
+    }
+}
+
+function createHelperWorker(id) {
+    const helper = new Worker('worker.js');
+    helper.onmessage = (e) => {
+        const { type, payload } = e.data;
+        if (resolveWorkerReply(helper, type, payload)) {
+            return;
+        }
+        if (type === 'log') {
+            console.log(`Worker ${id}: ${payload}`);
+        }
+    };
+    helper.onerror = (e) => {
+        console.error(`Error in worker ${id}:`, e);
+    };
+    return helper;
+}
+
+async function setupWorkerPool(size, resume) {
+    helperWorkers.forEach(helper => helper.terminate());
+    helperWorkers = [];
+    if (size <= 1) return;
+
+    // Helpers mirror the main worker: same region, cost model, search algorithm and road usage
+    const sessionState = resume ? await requestFromWorker({ type: 'getSessionState' }, 'sessionState') : null;
+    for (let id = 1; id < size; id++) {
+        const helper = createHelperWorker(id);
+        helper.postMessage({ type: 'loadRegion', payload: lastRegionPayload });
+        if (currentCostModel) {
+            helper.postMessage({ type: 'setCostModel', payload: { costModel: currentCostModel } });
+        }
+        helper.postMessage({ type: 'setSearchAlgorithm', payload: { algorithm: algorithmSelect.value } });
+        if (importedRoads) {
+            // A resumed grid already holds them; a fresh one starts from them
+            const { paths, weight } = importedRoads;
+            helper.postMessage({ type: 'setBaseRoads', payload: { baseRoads: { paths, weight }, apply: !sessionState } });
+        }
+        if (sessionState) {
+            helper.postMessage({ type: 'restoreSessionState', payload: sessionState });
+        }
+        helperWorkers.push(helper);
+    }
+
+    await Promise.all(helperWorkers.map(helper => requestFromWorker({ type: 'awaitRegion' }, 'regionReady', helper)));
+    console.log(`Worker pool ready: ${size} workers`);
+}
+
+// options: {fastForward, remaining} to record a fixed number of paths without replaying them
+function startParallelRun(options = {}) {
+    parallelRun = {
+        id: nextParallelRunId++,
+        batchInFlight: false,
+        replayQueue: [],
+        replaying: false,
+        fastForward: !!options.fastForward,
+        remaining: options.remaining || 0
+    };
+    scheduleParallelBatch();
+}
+
+// Resolves once no batch of the stopped run is still talking to the workers
+function stopParallelRun() {
+    parallelRun = null;
+    return parallelBatchPromise;
+}
+
+function scheduleParallelBatch() {
+    const run = parallelRun;
+    if (!run || run.batchInFlight) return;
+
+    // Don't let computation run too far ahead of the replay
+    const poolSize = helperWorkers.length + 1;
+    if (run.replayQueue.length >= poolSize * 2) return;
+
+    run.batchInFlight = true;
+    parallelBatchPromise = runParallelBatch(run).catch(error => {
+        console.error('Error in parallel batch:', error);
+    }).then(() => {
+        run.batchInFlight = false;
+        if (parallelRun === run) {
+            scheduleParallelBatch();
+            replayNextPath();
+        }
+    });
+}
+
+async function runParallelBatch(run) {
+    const pool = [worker, ...helperWorkers];
+    const count = run.fastForward ? Math.min(pool.length, run.remaining) : pool.length;
+    const { pairs } = await requestFromWorker({ type: 'pickPairs', payload: { count } }, 'pairsPicked');
+    if (pairs.length === 0 && !run.fastForward && parallelRun === run) {
+        // No two usable cities: picking again would only find none again
+        parallelRun = null;
+        startButton.disabled = false;
+        console.warn('Parallel run stopped: could not pick valid cities');
+        alert('The run stopped: there are not enough cities to pick routes between.');
+        return;
+    }
+
+    const batchStartTime = performance.now();
+    const results = await Promise.all(pairs.map((pair, i) =>
+        requestFromWorker({ type: 'computePath', payload: pair }, 'pathComputed', pool[i]).catch(error => ({ error: error.message }))
+    ));
+    if (parallelRun !== run) return; // Stopped or restarted meanwhile
+
+    const completed = [];
+    results.forEach((result, i) => {
+        if (result.error) {
+            console.warn(`Parallel path ${pairs[i].startCity.name} → ${pairs[i].endCity.name} failed: ${result.error}`);
+            return;
+        }
+        completed.push({ ...result, startCity: pairs[i].startCity, endCity: pairs[i].endCity });
+    });
+
+    // Merge step: all workers apply the batch's roads in pair order before the next batch
+    postToAllWorkers({ type: 'applyRoads', payload: { paths: completed.map(result => result.path) } });
+
+    if (run.fastForward) {
+        completed.forEach(result => recordBatchPath({ ...result, pathWithUsage: getPathWithUsage(result.path) }));
+        run.remaining -= pairs.length;
+        if (run.remaining <= 0 || pairs.length === 0) {
+            parallelRun = null;
+            finishBatch();
+        }
+    } else {
+        run.replayQueue.push(...completed);
+    }
+
+    const batchTime = (performance.now() - batchStartTime).toFixed(0);
+    console.log(`Parallel batch: ${completed.length}/${pairs.length} paths in ${batchTime}ms on ${pool.length} workers`);
+}
+
+// Usage before this path, as in the worker's pathFound payload
+function getPathWithUsage(path) {
+    return path.map(index => ({ index, usage: roadUsageMap.get(index) || 0 }));
+}
+
+function replayNextPath() {
+    const run = parallelRun;
+    if (!run || run.replaying || run.replayQueue.length === 0) return;
+
+    run.replaying = true;
+    const result = run.replayQueue.shift();
+
+    handlePathFound({ ...result, pathWithUsage: getPathWithUsage(result.path) });
+    scheduleParallelBatch();
+}
+
+// Called when the lightning animation for a path has finished
+function onPathAnimationComplete() {
+    if (timeline) {
+        timeline.liveWaiting = true; // Resumed by leaveTimeline
+        return;
+    }
+    if (parallelRun) {
+        parallelRun.replaying = false;
+        replayNextPath();
+    } else {
+        worker.postMessage({ type: 'readyForNextPath' });
+    }
+}
+
+populateWorkerCountOptions();
+
+worker.onmessage = (e) => {
+    const { type, payload } = e.data;
+
+    // Resolve any pending request waiting for this reply
+    if (resolveWorkerReply(worker, type, payload)) {
+        return;
+    }
+
+    if (type === 'log') {
+        console.log(`Worker: ${payload}`);
+    } else if (type === 'citiesData') {
+        cities = payload;
+        drawCities();
+        // Re-enable start button when cities are loaded
+        if (!isPathfindingActive) {
+            startButton.disabled = false;
+        }
+        console.log(`Loaded ${cities.length} cities`);
+    } else if (type === 'mapGeometry') {
+        mapPgw = payload.pgw;
+    } else if (type === 'citiesOutsideMap') {
+        warnCitiesOutsideMap(payload);
+    } else if (type === 'findingPath') {
+        if (payload.runId !== sequentialRunId) return; // From a run that was reset or restarted since
+        if (parallelRun || timeline) return; // The timeline keeps the canvases to itself
+        isPathfindingActive = true;
+        clearExploredAreas();
+        const { from, to } = payload;
+        currentStartCityName = from;
+        currentEndCityName = to;
+        drawCities(from, to);
+        // Kick off the animation loop
+        animationFrameId = requestAnimationFrame(drawSearchTendrils);
+    } else if (type === 'pathfindingUpdate') {
+        if (timeline) return;
+        tendrilsToDraw.push(...payload);
+    } else if (type === 'pathFound') {
+        if (payload.runId !== sequentialRunId) return; // From a run that was reset or restarted since
+        if (parallelRun) return; // Left over from a sequential run; the parallel run owns the network now
+        handlePathFound(payload);
+    } else if (type === 'batchPath') {
+        if (batchRun && payload.batchId === batchRun.id) {
+            recordBatchPath(payload);
+        }
+    } else if (type === 'overlayImage') {
+        handleOverlayImage(payload);
+    } else if (type === 'pixelInfo') {
+        handlePixelInfo(payload);
+    } else if (type === 'routeFound') {
+        handleRouteFound(payload);
+    } else if (type === 'batchComplete') {
+        if (batchRun && payload.batchId === batchRun.id) {
+            finishBatch();
+        }
+    } else if (type === 'costModel') {
+        regionCostDefaults = payload.regionDefaults;
+        currentCostModel = payload.costModel;
+        fillCostModelFields(payload.costModel);
+        // Sent on region load and on every cost model change, which both alter the overlays
+        requestOverlay();
+    } else if (type === 'networkExport') {
+        downloadFile(`${currentRegion}_network.geojson`, JSON.stringify(payload), 'application/geo+json');
+    } else if (type === 'graphExport') {
+        downloadFile(`${currentRegion}_graph.json`, JSON.stringify(payload), 'application/json');
     }
 };
 
@@ -0,0 +1,1743 @@
+// Simulation core shared by the worker (importScripts), the page (for its path geometry helpers)
+// and the Node CLI (require).
+// Nothing in here touches browser globals: every function takes the simulation state
+// first, and logging and tendril updates go through the state's log/onExplored hooks.
+
+// Cost parameters used when the region manifest or the UI does not override them
+const DEFAULT_COST_MODEL = {
+    waterCost: 15.0,            // Cost of moving onto a water pixel
+    uphillFactor: 5.0,          // Extra cost per level (per percent of grade on DEM regions) of elevation gained
+    downhillFactor: 0.5,        // Discount per level (per percent of grade on DEM regions) of elevation lost
+    minMoveCost: 0.1,           // Floor for land move costs
+    roadMaxUses: 48,            // Road discount stops growing after this many uses
+    roadDiscountPerUse: 0.00625, // 48 uses * 0.625% = 30% max discount
+    cityInfluenceRadius: 5,     // Radius of the pre-calculated city influence grid
+    cityBuffDistance: 15,       // Apply the city buff within this influence distance
+    cityBuffFactor: 0.8,        // Fractional cost reduction near cities
+    highCostThreshold: 80       // Moves at least this expensive are pruned more aggressively
+};
+
+// Defaults for DEM regions, whose climbs are slopes: a 10% grade costs about as much as a
+// one-level climb on a greyscale map, whatever the DEM's resolution
+const DEM_COST_MODEL = {
+    ...DEFAULT_COST_MODEL,
+    uphillFactor: 0.5,
+    downhillFactor: 0.05
+};
+
+// Elevation grid value for water. DEM elevations are real metres and can be negative,
+// so the sentinel has to lie outside any height a raster can hold.
+const WATER_ELEVATION = -Infinity;
+
+// Why a complete cost model would let move costs reach zero or below, which breaks the search; null if it is fine
+function getCostModelError(costModel) {
+    if (!(costModel.waterCost > 0) || !(costModel.minMoveCost > 0)) {
+        return 'Water cost and minimum move cost must be above 0.';
+    }
+    if (costModel.roadMaxUses * costModel.roadDiscountPerUse >= 1) {
+        return 'Road discount cap × discount per use must stay below 1, or roads would become free.';
+    }
+    if (costModel.cityBuffFactor >= 1) {
+        return 'City buff factor must stay below 1.';
+    }
+    return null;
+}
+
+// Keep only known, finite numeric cost parameters. base is the model they will be merged into;
+// throws if the merged model breaks the limits of getCostModelError.
+function sanitizeCostModel(costModel, base = DEFAULT_COST_MODEL) {
+    const sanitized = {};
+    if (!costModel) return sanitized;
+    Object.keys(DEFAULT_COST_MODEL).forEach(key => {
+        const value = Number(costModel[key]);
+        if (key in costModel && Number.isFinite(value)) {
+            sanitized[key] = value;
+        }
+    });
+    const error = getCostModelError({ ...base, ...sanitized });
+    if (error) {
+        throw new Error(`Invalid cost model: ${error}`);
+    }
+    return sanitized;
+}
+
+function createSimulationState({ log = () => {}, onExplored = () => {} } = {}) {
+    return {
+        map: {
+            width: 0,
+            height: 0,
+            imageData: null,
+            elevationGrid: null, // Stores elevation for land, WATER_ELEVATION for water
+            elevationUnit: 'level', // 'level' for greyscale maps (0-255), 'm' for DEM rasters
+            waterSurfaceElevation: -1, // Where a path climbing out of water starts from; null: level with the shore
+            roadUsageGrid: null, // Track how many times each pixel has been used for roads
+            cityInfluenceGrid: null, // NEW: Pre-calculated grid for city proximity
+        },
+        cities: [],
+        minPopulation: 0,
+        maxPopulation: 0,
+        pgw: null,
+        currentRegion: null, // Track current region
+        costModel: { ...DEFAULT_COST_MODEL }, // Cost parameters for the next path
+        regionCostModel: { ...DEFAULT_COST_MODEL }, // The region's defaults from the manifest
+        search: null, // Reusable findPath buffers for the current region
+        searchLock: Promise.resolve(), // Settles when the running search finishes
+        searchAlgorithm: 'dijkstra', // 'dijkstra' or 'astar'
+        baseRoads: null, // Imported roads every fresh run starts from: {paths, weight}
+        // Seeded random number generator driving all city selection
+        seed: 0,
+        rngState: 0,
+        // FPS control
+        targetFPS: 120,
+        lastFrameTime: 0,
+        // Hooks for the host environment
+        log, // (message) => void
+        onExplored // (pixelIndices) => void, tendril updates from non-quiet searches
+    };
+}
+
+// World file: six lines a, d, b, e, c, f. Throws on anything that is not a usable affine transform.
+function parsePgw(text) {
+    const lines = text.trim().split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+    if (lines.length !== 6) {
+        throw new Error(`World file must have 6 lines, found ${lines.length}.`);
+    }
+    const values = lines.map(Number);
+    const badLine = values.findIndex(value => !Number.isFinite(value));
+    if (badLine !== -1) {
+        throw new Error(`World file line ${badLine + 1} is not a number: "${lines[badLine]}".`);
+    }
+    return validateWorldFile({
+        a: values[0], // pixel size x
+        d: values[1], // rotation y
+        b: values[2], // rotation x
+        e: values[3], // pixel size y (negative)
+        c: values[4], // centre of the top-left pixel, x
+        f: values[5], // centre of the top-left pixel, y
+    });
+}
+
+// A world file has to be invertible for cities to be placed on the map
+function validateWorldFile(pgw) {
+    const { a, b, d, e } = pgw;
+    const determinant = a * e - b * d;
+    if (!Number.isFinite(determinant) || determinant === 0) {
+        throw new Error(`World file is not invertible (a=${a}, b=${b}, d=${d}, e=${e}): pixel size or rotation terms are wrong.`);
+    }
+    return pgw;
+}
+
+function lonLatToPixel(state, lon, lat) {
+    if (!state.pgw) {
+        throw new Error('PGW data not loaded yet.');
+    }
+    const { a, b, c, d, e, f } = state.pgw;
+
+    // Inverse of:
+    // lon = a * x + b * y + c
+    // lat = d * x + e * y + f
+    // Solving the 2x2 system handles rotated and sheared world files as well
+    const determinant = a * e - b * d;
+    const dx = lon - c;
+    const dy = lat - f;
+
+    const x = (e * dx - b * dy) / determinant;
+    const y = (a * dy - d * dx) / determinant;
+
+    return { x, y };
+}
+
+function pixelToLonLat(state, x, y) {
+    if (!state.pgw) {
+        throw new Error('PGW data not loaded yet.');
+    }
+    const { a, b, c, d, e, f } = state.pgw;
+
+    // Forward world file transform:
+    // lon = a * x + b * y + c
+    // lat = d * x + e * y + f
+    return {
+        lon: a * x + b * y + c,
+        lat: d * x + e * y + f
+    };
+}
+
+// Ground distances. World files are equirectangular degrees, so an east-west degree shrinks with
+// cos(latitude). Move costs count ground length in "unit pixels", the map's north-south pixel size,
+// which keeps cost models tuned on plain pixel steps meaningful.
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+
+// Ground length of a unit pixel in km
+function getUnitPixelKm(state) {
+    const { b, e } = state.pgw;
+    return Math.hypot(b, e) * KM_PER_DEGREE;
+}
+
+// Per-step ground offsets of the eight neighbour moves, in unit pixels before the cos(latitude)
+// scaling of the east-west part: {lon: Float64Array(9), lat: Float64Array(9)}, indexed (dy + 1) * 3 + dx + 1
+function getStepOffsets(state) {
+    const { a, b, d, e } = state.pgw;
+    const unit = Math.hypot(b, e);
+    const lon = new Float64Array(9);
+    const lat = new Float64Array(9);
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            lon[(dy + 1) * 3 + dx + 1] = (a * dx + b * dy) / unit;
+            lat[(dy + 1) * 3 + dx + 1] = (d * dx + e * dy) / unit;
+        }
+    }
+    return { lon, lat };
+}
+
+// Ground length in unit pixels of the eight neighbour steps from each row, indexed row * 9 + step.
+// Rows share a latitude unless the world file's d term tilts them; the table then has a single row,
+// for the caller to refill per pixel with fillStepLengths.
+function createStepLengths(state) {
+    const offsets = getStepOffsets(state);
+    const byRow = state.pgw.d === 0;
+    const lengths = new Float64Array((byRow ? state.map.height : 1) * 9);
+    if (byRow) {
+        for (let y = 0; y < state.map.height; y++) {
+            fillStepLengths(lengths, y * 9, offsets, getLatitudeScale(state, 0, y));
+        }
+    }
+    return { byRow, lengths, offsets };
+}
+
+function fillStepLengths(lengths, base, offsets, cosLat) {
+    for (let step = 0; step < 9; step++) {
+        const east = offsets.lon[step] * cosLat;
+        lengths[base + step] = Math.sqrt(east * east + offsets.lat[step] * offsets.lat[step]);
+    }
+}
+
+// Factor turning the elevation difference over a step one unit pixel long into the climb the uphill
+// and downhill factors apply to: null for greyscale maps, which climb in levels, and metres to percent
+// of grade for DEM regions. Divide it by the step's ground length in unit pixels.
+function getGradeScale(state) {
+    return state.map.elevationUnit === 'm' ? 100 / (getUnitPixelKm(state) * 1000) : null;
+}
+
+// cos(latitude) at a pixel position
+function getLatitudeScale(state, x, y) {
+    const { d, e, f } = state.pgw;
+    return Math.cos(Math.min(90, Math.abs(d * x + e * y + f)) * Math.PI / 180);
+}
+
+// Ground length in unit pixels of any pixel offset, at the given cos(latitude)
+function getGroundOffsetLength(state, dx, dy, cosLat) {
+    const { a, b, d, e } = state.pgw;
+    const east = (a * dx + b * dy) * cosLat;
+    const north = d * dx + e * dy;
+    return Math.sqrt(east * east + north * north) / Math.hypot(b, e);
+}
+
+// Ground length of a pixel path in km, each step scaled at its midpoint latitude
+function calculateGroundLength(state, path) {
+    if (!path || path.length < 2) return 0;
+    const { width } = state.map;
+    const { lon, lat } = getStepOffsets(state);
+    let length = 0;
+    for (let i = 1; i < path.length; i++) {
+        const ux = path[i - 1] % width;
+        const uy = Math.floor(path[i - 1] / width);
+        const dx = path[i] % width - ux;
+        const dy = Math.floor(path[i] / width) - uy;
+        const k = (dy + 1) * 3 + dx + 1;
+        const cosLat = getLatitudeScale(state, ux + dx / 2, uy + dy / 2);
+        length += Math.sqrt((lon[k] * cosLat) ** 2 + lat[k] ** 2);
+    }
+    return length * getUnitPixelKm(state);
+}
+
+// Great-circle (haversine) distance in km
+function groundDistanceKm(lon1, lat1, lon2, lat2) {
+    const toRadians = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRadians;
+    const dLon = (lon2 - lon1) * toRadians;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Lower bound on the ground length, in unit pixels, of any path between two pixels, for the A*
+// heuristic. Every step is at least as long as at the map's largest |latitude| (a corner, since
+// latitude is affine in the pixel position).
+function createGroundLowerBound(state) {
+    const { width, height } = state.map;
+    const { a, b, d, e } = state.pgw;
+    const unit = Math.hypot(b, e);
+    const minCos = Math.min(
+        getLatitudeScale(state, 0, 0), getLatitudeScale(state, width - 1, 0),
+        getLatitudeScale(state, 0, height - 1), getLatitudeScale(state, width - 1, height - 1)
+    );
+    if (b === 0 && d === 0) {
+        // Axis-aligned: octile distance with the narrowest east-west step
+        const sx = Math.abs(a) * minCos / unit;
+        const sy = Math.abs(e) / unit;
+        const diagonal = Math.sqrt(sx * sx + sy * sy);
+        return (dx, dy) => {
+            const diagonals = Math.min(dx, dy);
+            return diagonals * diagonal + (dx - diagonals) * sx + (dy - diagonals) * sy;
+        };
+    }
+    // Rotated or sheared: straight-line pixel distance times the smallest stretch of the
+    // (cos-scaled) affine transform, its smallest singular value
+    const m = [a * minCos / unit, b * minCos / unit, d / unit, e / unit];
+    const squares = m.reduce((sum, value) => sum + value * value, 0);
+    const determinant = Math.abs(m[0] * m[3] - m[1] * m[2]);
+    const minStretch = Math.sqrt(Math.max(0, (squares - Math.sqrt(Math.max(0, squares * squares - 4 * determinant * determinant))) / 2));
+    return (dx, dy) => minStretch * Math.sqrt(dx * dx + dy * dy);
+}
+
+// Map city features (GeoJSON points) to pixel positions; needs the PGW loaded first.
+// cityFields: {name, population} property names to read; unset ones fall back to the known spellings.
+// A population of null means the cities have none, and all count as population 1.
+function setRegionCities(state, citiesData, cityFields = {}) {
+    const points = citiesData.features.filter(feature => feature.geometry && feature.geometry.type === 'Point');
+    if (points.length < citiesData.features.length) {
+        state.log(`Skipped ${citiesData.features.length - points.length} city features that are not points`);
+    }
+
+    state.cities = points.map(feature => {
+        const [lon, lat] = feature.geometry.coordinates;
+        const { x, y } = lonLatToPixel(state, lon, lat);
+        const properties = feature.properties || {};
+        
+        // USA uses 'City' and 'Population' (capital), China uses 'city_ascii' and 'population' (lowercase)
+        const cityName = String((cityFields.name ? properties[cityFields.name]
+            : properties.city_ascii || properties.City || properties.city) || 'Unknown');
+        let population = 1;
+        if (cityFields.population !== null) {
+            population = Number(cityFields.population ? properties[cityFields.population]
+                : properties.population || properties.Population) || 1;
+        }
+        
+        return {
+            name: cityName,
+            population: population,
+            lon,
+            lat,
+            x,
+            y,
+        };
+    });
+
+    updatePopulationRange(state);
+    return state.cities;
+}
+
+function updatePopulationRange(state) {
+    // Calculate min/max population
+    if (state.cities.length > 0) {
+        const populations = state.cities.map(c => c.population);
+        state.minPopulation = Math.min(...populations);
+        state.maxPopulation = Math.max(...populations);
+        state.log(`Population range: ${state.minPopulation} to ${state.maxPopulation}`);
+    }
+}
+
+// Cities off the raster can't be routed to, so they are taken out of the simulation once the map
+// size is known. Returns the removed cities so the host can warn about them.
+function removeCitiesOutsideMap(state) {
+    const { width, height } = state.map;
+    const onMap = city => {
+        const x = Math.round(city.x);
+        const y = Math.round(city.y);
+        return x >= 0 && x < width && y >= 0 && y < height;
+    };
+    const outside = state.cities.filter(city => !onMap(city));
+    if (outside.length > 0) {
+        state.cities = state.cities.filter(onMap);
+        const list = outside.map(city => `${city.name} (${city.lon}, ${city.lat})`).join(', ');
+        state.log(`⚠️ ${outside.length} of ${outside.length + state.cities.length} cities lie outside the ${width}x${height} map and were left out: ${list}`);
+        updatePopulationRange(state);
+    }
+    return outside;
+}
+
+function createCostGrid(state) {
+    const { width, height, imageData } = state.map;
+    const data = imageData.data;
+    const elevationGrid = new Float32Array(width * height);
+    const roadUsageGrid = new Uint16Array(width * height); // Track usage count per pixel
+
+    const waterThreshold = 10; // Threshold to decide if a color is not grey
+
+    for (let i = 0; i < data.length; i += 4) {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        const pixelIndex = i / 4;
+
+        // Check if the pixel is greyscale (land) or colored (water)
+        const isGrey = Math.abs(r - g) < waterThreshold && Math.abs(g - b) < waterThreshold;
+
+        if (isGrey) {
+            // Land: store the greyscale value (0-255). Lower value = higher elevation.
+            elevationGrid[pixelIndex] = r;
+        } else {
+            // Water: mark with a special value.
+            elevationGrid[pixelIndex] = WATER_ELEVATION; // Sentinel for water
+        }
+        roadUsageGrid[pixelIndex] = 0; // Initialize usage count
+    }
+    
+    state.map.elevationGrid = elevationGrid;
+    state.map.elevationUnit = 'level';
+    state.map.waterSurfaceElevation = -1; // One level below the lowest land
+    state.map.roadUsageGrid = roadUsageGrid;
+    state.map.cityInfluenceGrid = createCityInfluenceGrid(state, state.costModel.cityInfluenceRadius);
+
+    // We don't need the image data anymore, so we can release it
+    state.map.imageData = null;
+}
+
+// Land/water from a mask raster: a single band {width, height, data} counts as water where the value
+// is above 0, RGBA image data (e.g. a PNG) where any colour channel is bright and the pixel is opaque
+function waterMaskFromRaster(raster) {
+    const { width, height, data } = raster;
+    const mask = new Uint8Array(width * height);
+    const bands = data.length / (width * height);
+    for (let i = 0; i < mask.length; i++) {
+        if (bands === 1) {
+            mask[i] = data[i] > 0 ? 1 : 0;
+        } else {
+            const p = i * bands;
+            mask[i] = data[p + 3] > 0 && Math.max(data[p], data[p + 1], data[p + 2]) > 127 ? 1 : 0;
+        }
+    }
+    return mask;
+}
+
+// Cost grid from a decoded DEM ({width, height, data, noData}, elevations in metres). Water comes
+// from the optional mask (see waterMaskFromRaster), and without one from no-data or non-finite cells.
+function createDemCostGrid(state, dem, waterMask = null) {
+    const { width, height, data, noData } = dem;
+    if (waterMask && waterMask.length !== width * height) {
+        throw new Error('Water mask size does not match the DEM.');
+    }
+    const elevationGrid = new Float32Array(width * height);
+    let waterCount = 0;
+
+    for (let i = 0; i < elevationGrid.length; i++) {
+        const value = data[i];
+        const isWater = waterMask ? waterMask[i] === 1 : (!Number.isFinite(value) || value === noData);
+        if (isWater) waterCount++;
+        // Masked land with no elevation of its own is taken as sea level
+        elevationGrid[i] = isWater ? WATER_ELEVATION
+            : (Number.isFinite(value) && value !== noData ? value : 0);
+    }
+
+    state.map.width = width;
+    state.map.height = height;
+    state.map.elevationGrid = elevationGrid;
+    state.map.elevationUnit = 'm';
+    state.map.waterSurfaceElevation = null; // Lakes lie at any height, so coming ashore is level
+    state.map.roadUsageGrid = new Uint16Array(width * height);
+    state.map.cityInfluenceGrid = createCityInfluenceGrid(state, state.costModel.cityInfluenceRadius);
+    state.map.imageData = null;
+    state.log(`⛰️ DEM cost grid: ${width}x${height}, ${waterCount} water pixels${waterMask ? ' from the mask' : ''}`);
+}
+
+// Pre-calculate city influence using a multi-source Breadth-First Search (BFS)
+// This avoids calling getNearbyCity repeatedly during pathfinding.
+function createCityInfluenceGrid(state, searchRadius) {
+    const { width, height } = state.map;
+    const cityInfluenceGrid = new Float32Array(width * height).fill(Infinity);
+
+    const queue = [];
+    state.cities.forEach(city => {
+        const x = Math.round(city.x);
+        const y = Math.round(city.y);
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+            const index = y * width + x;
+            cityInfluenceGrid[index] = 0;
+            queue.push(index);
+        }
+    });
+
+    let head = 0;
+    while (head < queue.length) {
+        const u = queue[head++];
+        const u_dist = cityInfluenceGrid[u];
+
+        if (u_dist >= searchRadius) continue; // Performance: stop searching beyond the radius
+
+        const neighbors = getNeighbors(u, width, height);
+        for (const neighbor of neighbors) {
+            const v = neighbor.index;
+            if (cityInfluenceGrid[v] === Infinity) {
+                const newDist = u_dist + (neighbor.isDiagonal ? Math.SQRT2 : 1);
+                if (newDist <= searchRadius) {
+                    cityInfluenceGrid[v] = newDist;
+                    queue.push(v);
+                }
+            }
+        }
+    }
+    
+    return cityInfluenceGrid;
+}
+
+// Binary min-heap of pixel indices backed by typed arrays. A pixel is in the heap at most
+// once: pushing it again with a lower priority moves it up in place (decrease-key).
+class IndexedMinHeap {
+    constructor(nodeCount) {
+        this.positions = new Int32Array(nodeCount).fill(-1); // Pixel index -> heap slot, -1 when absent
+        this.nodes = new Int32Array(1024);
+        this.priorities = new Float64Array(1024);
+        this.size = 0;
+        this.peakSize = 0;
+        this.decreaseKeyCount = 0;
+    }
+
+    isEmpty() {
+        return this.size === 0;
+    }
+
+    push(node, priority) {
+        const position = this.positions[node];
+        if (position !== -1) {
+            if (priority < this.priorities[position]) {
+                this.priorities[position] = priority;
+                this.decreaseKeyCount++;
+                this.bubbleUp(position);
+            }
+            return;
+        }
+
+        if (this.size === this.nodes.length) {
+            this.grow();
+        }
+        this.nodes[this.size] = node;
+        this.priorities[this.size] = priority;
+        this.positions[node] = this.size;
+        this.size++;
+        if (this.size > this.peakSize) {
+            this.peakSize = this.size;
+        }
+        this.bubbleUp(this.size - 1);
+    }
+
+    pop() {
+        const min = this.nodes[0];
+        this.positions[min] = -1;
+        this.size--;
+        if (this.size > 0) {
+            this.nodes[0] = this.nodes[this.size];
+            this.priorities[0] = this.priorities[this.size];
+            this.positions[this.nodes[0]] = 0;
+            this.sinkDown(0);
+        }
+        return min;
+    }
+
+    // Empty the heap, only touching the slots that are in use
+    clear() {
+        for (let i = 0; i < this.size; i++) {
+            this.positions[this.nodes[i]] = -1;
+        }
+        this.size = 0;
+        this.peakSize = 0;
+        this.decreaseKeyCount = 0;
+    }
+
+    grow() {
+        const nodes = new Int32Array(this.nodes.length * 2);
+        const priorities = new Float64Array(this.priorities.length * 2);
+        nodes.set(this.nodes);
+        priorities.set(this.priorities);
+        this.nodes = nodes;
+        this.priorities = priorities;
+    }
+
+    bubbleUp(n) {
+        const node = this.nodes[n];
+        const priority = this.priorities[n];
+        while (n > 0) {
+            const parentN = (n - 1) >> 1;
+            if (priority >= this.priorities[parentN]) break;
+            this.nodes[n] = this.nodes[parentN];
+            this.priorities[n] = this.priorities[parentN];
+            this.positions[this.nodes[n]] = n;
+            n = parentN;
+        }
+        this.nodes[n] = node;
+        this.priorities[n] = priority;
+        this.positions[node] = n;
+    }
+
+    sinkDown(n) {
+        const length = this.size;
+        const node = this.nodes[n];
+        const priority = this.priorities[n];
+
+        while (true) {
+            const child1N = 2 * n + 1;
+            if (child1N >= length) break;
+            const child2N = child1N + 1;
+            const smallerN = child2N < length && this.priorities[child2N] < this.priorities[child1N] ? child2N : child1N;
+            if (this.priorities[smallerN] >= priority) break;
+
+            this.nodes[n] = this.nodes[smallerN];
+            this.priorities[n] = this.priorities[smallerN];
+            this.positions[this.nodes[n]] = n;
+            n = smallerN;
+        }
+        this.nodes[n] = node;
+        this.priorities[n] = priority;
+        this.positions[node] = n;
+    }
+}
+
+// Scratch buffers for findPath, allocated once per region and reused across calls
+function getSearchBuffers(state) {
+    const nodeCount = state.map.width * state.map.height;
+    let search = state.search;
+
+    if (!search || search.nodeCount !== nodeCount) {
+        search = state.search = {
+            nodeCount,
+            heap: new IndexedMinHeap(nodeCount),
+            distances: new Float32Array(nodeCount),
+            predecessors: new Int32Array(nodeCount),
+            stamps: new Uint32Array(nodeCount), // Generation marks, see findPath
+            generation: 0
+        };
+        const megabytes = (nodeCount * 16 / (1024 * 1024)).toFixed(1);
+        state.log(`Allocated search buffers for ${nodeCount} pixels (${megabytes} MB)`);
+    }
+
+    // Start over before the generation counter can wrap around
+    if (search.generation > 0xFFFFFFF0) {
+        search.stamps.fill(0);
+        search.generation = 0;
+    }
+    return search;
+}
+
+function getNeighbors(index, width, height) {
+    const neighbors = [];
+    const x = index % width;
+    const y = Math.floor(index / width);
+
+    // 8-directional movement
+    for (let i = -1; i <= 1; i++) {
+        for (let j = -1; j <= 1; j++) {
+            if (i === 0 && j === 0) continue;
+            const nx = x + j;
+            const ny = y + i;
+
+            if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                const neighborIndex = ny * width + nx;
+                const isDiagonal = (i !== 0 && j !== 0);
+                neighbors.push({ index: neighborIndex, isDiagonal, i, j });
+            }
+        }
+    }
+    return neighbors;
+}
+
+function calculateGeometricLength(state, path) {
+    if (!path || path.length < 2) return 0;
+    const { width } = state.map;
+    let geometricPathLength = 0;
+    for (let i = 0; i < path.length - 1; i++) {
+        const u_idx = path[i];
+        const v_idx = path[i+1];
+
+        const u_x = u_idx % width;
+        const u_y = Math.floor(u_idx / width);
+        const v_x = v_idx % width;
+        const v_y = Math.floor(v_idx / width);
+
+        const dx = Math.abs(u_x - v_x);
+        const dy = Math.abs(u_y - v_y);
+
+        if (dx === 1 && dy === 1) { // Diagonal move
+            geometricPathLength += Math.SQRT2;
+        } else { // Straight move
+            geometricPathLength += 1;
+        }
+    }
+    return geometricPathLength;
+}
+
+function findNearestCity(state, pixelIndex) {
+    const { width } = state.map;
+    const x = pixelIndex % width;
+    const y = Math.floor(pixelIndex / width);
+
+    let nearestCity = null;
+    let minDistanceSq = Infinity;
+
+    state.cities.forEach(city => {
+        const dx = x - city.x;
+        const dy = y - city.y;
+        const distanceSq = dx * dx + dy * dy;
+        if (distanceSq < minDistanceSq) {
+            minDistanceSq = distanceSq;
+            nearestCity = city;
+        }
+    });
+    return nearestCity;
+}
+
+// The search buffers are shared, so searches run one at a time
+async function findPath(state, startCity, endCity, options = {}) {
+    const previousSearch = state.searchLock;
+    let releaseSearch;
+    state.searchLock = new Promise(resolve => {
+        releaseSearch = resolve;
+    });
+    await previousSearch;
+
+    try {
+        return await searchPath(state, startCity, endCity, options);
+    } finally {
+        releaseSearch();
+    }
+}
+
+// Lower bound on the cost of reaching the goal (endX, endY) from a pixel, as a function of the
+// ground lower bound still to go. Steps cost at least the terrain floor per unit pixel, less the
+// road discount once any road exists; the city buff cuts that further only next to a city. So
+// distances from the goal that a step near some city can span are charged at the buffed rate and
+// the rest at the plain one. The bound then never grows faster along a step than the step's cheapest
+// cost, which keeps the heuristic consistent.
+function createCostLowerBound(state, groundLowerBound, endX, endY) {
+    const { roadUsageGrid } = state.map;
+    const {
+        waterCost, minMoveCost, roadMaxUses, roadDiscountPerUse,
+        cityInfluenceRadius, cityBuffDistance, cityBuffFactor
+    } = state.costModel;
+
+    let roadsExist = false;
+    for (let i = 0; i < roadUsageGrid.length; i++) {
+        if (roadUsageGrid[i] > 0) {
+            roadsExist = true;
+            break;
+        }
+    }
+    const roadFactor = roadsExist ? 1 - Math.min(1, roadMaxUses * roadDiscountPerUse) : 1;
+    const plainRate = Math.min(waterCost, minMoveCost) * Math.min(1, roadFactor);
+    const cityRate = plainRate * Math.min(1, 1 - cityBuffFactor);
+
+    // Buffed pixels lie within the influence radius of a city pixel, in each axis; a step onto
+    // one starts at most a pixel further out
+    const intervals = [];
+    if (cityRate < plainRate && cityBuffDistance > 0) {
+        const reach = Math.ceil(Math.min(cityInfluenceRadius, cityBuffDistance)) + 1;
+        const spread = groundLowerBound(reach, reach);
+        state.cities.forEach(city => {
+            const distance = groundLowerBound(Math.abs(Math.round(city.x) - endX), Math.abs(Math.round(city.y) - endY));
+            intervals.push([Math.max(0, distance - spread), distance + spread]);
+        });
+    }
+
+    // Merge them: cheapBefore[k] is the buffed length below starts[k]
+    intervals.sort((p, q) => p[0] - q[0]);
+    const starts = [];
+    const ends = [];
+    const cheapBefore = [];
+    let cheapLength = 0;
+    intervals.forEach(([start, end]) => {
+        const last = starts.length - 1;
+        if (last >= 0 && start <= ends[last]) {
+            if (end > ends[last]) {
+                cheapLength += end - ends[last];
+                ends[last] = end;
+            }
+            return;
+        }
+        starts.push(start);
+        ends.push(end);
+        cheapBefore.push(cheapLength);
+        cheapLength += end - start;
+    });
+
+    return distance => {
+        // Last interval starting at or below the distance
+        let low = 0;
+        let high = starts.length - 1;
+        let k = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (starts[mid] <= distance) {
+                k = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        const cheap = k === -1 ? 0 : cheapBefore[k] + Math.min(distance, ends[k]) - starts[k];
+        return plainRate * distance - (plainRate - cityRate) * cheap;
+    };
+}
+
+// Options: quiet - skip tendril updates and FPS throttling (used by pool workers)
+async function searchPath(state, startCity, endCity, { quiet = false } = {}) {
+    const { width, height, elevationGrid, roadUsageGrid, cityInfluenceGrid, waterSurfaceElevation } = state.map;
+    // Snapshot the cost model so changes from the UI apply from the next path on
+    const {
+        waterCost, uphillFactor, downhillFactor, minMoveCost,
+        roadMaxUses, roadDiscountPerUse, cityBuffDistance, cityBuffFactor, highCostThreshold
+    } = state.costModel;
+    const startX = Math.round(startCity.x);
+    const startY = Math.round(startCity.y);
+    const endX = Math.round(endCity.x);
+    const endY = Math.round(endCity.y);
+
+    const startIndex = startY * width + startX;
+    const endIndex = endY * width + endX;
+
+    // Calculate straight-line distance for reference, on the map and on the ground
+    const straightLineDistance = Math.sqrt((endX - startX) ** 2 + (endY - startY) ** 2);
+    const startLonLat = pixelToLonLat(state, startX, startY);
+    const endLonLat = pixelToLonLat(state, endX, endY);
+    const straightLineKm = groundDistanceKm(startLonLat.lon, startLonLat.lat, endLonLat.lon, endLonLat.lat);
+
+    // Steps cost their ground length in unit pixels (see getStepOffsets)
+    const { byRow: stepLengthsByRow, lengths: stepLengths, offsets: stepOffsets } = createStepLengths(state);
+    const gradeScale = getGradeScale(state);
+    
+    // A* heuristic: a lower bound on the cost of the ground length still to go (see
+    // createCostLowerBound). It never overestimates, so A* finds the same optimal paths as Dijkstra.
+    const useAStar = state.searchAlgorithm === 'astar';
+    const algorithmName = useAStar ? 'A*' : 'Dijkstra';
+    const groundLowerBound = useAStar ? createGroundLowerBound(state) : null;
+    const costLowerBound = useAStar ? createCostLowerBound(state, groundLowerBound, endX, endY) : null;
+    const heuristic = (index) => {
+        const dx = Math.abs(index % width - endX);
+        const dy = Math.abs(Math.floor(index / width) - endY);
+        return costLowerBound(groundLowerBound(dx, dy));
+    };
+    
+    state.log(`🔍 Starting pathfinding (${algorithmName}): ${startCity.name} → ${endCity.name} | Distance: ${Math.floor(straightLineDistance)} pixels, ${straightLineKm.toFixed(0)} km | Map: ${width}x${height}`);
+
+    // Reuse the region's scratch buffers. Entries only count for this search when their
+    // stamp matches its generation, so nothing has to be cleared between calls.
+    const search = getSearchBuffers(state);
+    const { heap, distances, predecessors, stamps } = search;
+    search.generation += 2;
+    const seenMark = search.generation; // Distance and predecessor are set for this search
+    const closedMark = seenMark + 1; // Node has been settled
+    heap.clear();
+    
+    distances[startIndex] = 0;
+    predecessors[startIndex] = -1;
+    stamps[startIndex] = seenMark;
+    heap.push(startIndex, useAStar ? heuristic(startIndex) : 0);
+
+    // Debug starting position
+    state.log(`🔍 Start position: (${startX}, ${startY}) | End position: (${endX}, ${endY})`);
+
+    let count = 0;
+    let processedCount = 0; // Track actual processing, not just queue operations
+    let visitedCount = 0; // Track visited nodes efficiently
+    const visitedForUpdate = [];
+    let lastUpdateCount = 0;
+    let queueSizeWarning = false;
+    
+    // Progress tracking for long-distance paths  
+    const isLongDistance = straightLineDistance > 1000;
+    let bestDistanceToTarget = straightLineDistance;
+    let progressCheckInterval = 100000;
+    let lastProgressCheck = 0;
+    let stuckCounter = 0; // Count how many times we haven't made progress
+    let smoothedQueueSize = 0; // Smoothed queue size to prevent jumpiness
+    
+    const startTime = performance.now();
+
+    while (!heap.isEmpty()) {
+        // Each node is in the heap at most once (decrease-key), so every pop is a new node
+        const u = heap.pop();
+        stamps[u] = closedMark;
+        visitedCount++;
+
+        // Regular step logging for debugging
+        if (count % 50000 === 0) { // Reduced frequency of this log
+            const queueSize = heap.size;
+            state.log(`Steps: ${count} | Processed: ${processedCount} | Queue: ${queueSize} | Visited: ${visitedCount}`);
+        }
+
+        // Progress monitoring for long-distance paths
+        if (isLongDistance && count - lastProgressCheck >= progressCheckInterval) {
+            const currentX = u % width;
+            const currentY = Math.floor(u / width);
+            const currentDistanceToTarget = Math.sqrt((endX - currentX) ** 2 + (endY - currentY) ** 2);
+            
+            if (currentDistanceToTarget < bestDistanceToTarget) {
+                bestDistanceToTarget = currentDistanceToTarget;
+                const progress = ((straightLineDistance - bestDistanceToTarget) / straightLineDistance * 100).toFixed(1);
+                state.log(`🎯 Progress update: ${progress}% complete | Distance remaining: ${Math.floor(bestDistanceToTarget)} pixels`);
+            }
+            lastProgressCheck = count;
+        }
+
+        if (u === endIndex) {
+            // Path found, reconstruct it
+            const path = [];
+            let current = endIndex;
+            while (current !== -1) {
+                path.push(current);
+                current = predecessors[current];
+            }
+            path.reverse();
+            
+            const geometricPathLength = calculateGeometricLength(state, path);
+            const lengthKm = calculateGroundLength(state, path);
+
+            // Performance metrics
+            const endTime = performance.now();
+            const totalTime = (endTime - startTime).toFixed(2);
+            const efficiency = (lengthKm / straightLineKm); // On the ground: pixel lengths are stretched away from the equator
+            const stepsPerPixel = (count / geometricPathLength).toFixed(1);
+            const nodesPerMs = (processedCount / Math.max(endTime - startTime, 0.001)).toFixed(1);
+            
+            state.log(`✅ Path found! [${algorithmName}] | Length: ${geometricPathLength.toFixed(1)} pixels, ${lengthKm.toFixed(1)} km | Steps: ${count} | Processed: ${processedCount} | Time: ${totalTime}ms | Efficiency: ${efficiency.toFixed(2)}x straight line | ${stepsPerPixel} steps/pixel`);
+            state.log(`⏱️ Benchmark [${algorithmName}]: ${nodesPerMs} nodes/ms | Heap peak: ${heap.peakSize} | Decrease-keys: ${heap.decreaseKeyCount}`);
+            
+            // Clear any remaining tendril updates
+            if (!quiet && visitedForUpdate.length > 0) {
+                 state.onExplored(visitedForUpdate.slice());
+            }
+            // Path pixels crossing water, for the network statistics
+            let waterPixels = 0;
+            for (const index of path) {
+                if (elevationGrid[index] === WATER_ELEVATION) waterPixels++;
+            }
+            return {path, efficiency, geometricLength: geometricPathLength, lengthKm, cost: distances[endIndex], steps: count, waterPixels};
+        }
+        
+        if (!quiet) {
+            visitedForUpdate.push(u);
+        }
+        count++;
+        processedCount++;
+
+        // Smooth queue size tracking to prevent jumpy behavior
+        const queueSize = heap.size;
+        smoothedQueueSize = smoothedQueueSize * 0.95 + queueSize * 0.05; // Exponential smoothing
+        
+        // Monitor queue size for performance issues
+        if (!queueSizeWarning && smoothedQueueSize > 50000) {
+            state.log(`Large queue detected (avg: ${Math.floor(smoothedQueueSize)} items) - encountering high-cost terrain`);
+            queueSizeWarning = true;
+        }
+
+        // Linear increase in update frequency
+        const baseUpdateFrequency = isLongDistance ? 200 : 100;
+        const linearIncrement = isLongDistance ? 2 : 1;
+        const maxUpdateFrequency = isLongDistance ? 2000 : 1000;
+        
+        const currentUpdateFrequency = Math.min(
+            maxUpdateFrequency, 
+            baseUpdateFrequency + Math.floor(processedCount / 1000) * linearIncrement
+        );
+
+        if (!quiet && count - lastUpdateCount >= currentUpdateFrequency) {
+            const currentTime = performance.now();
+            const frameDelay = 1000 / state.targetFPS;
+            
+            // Only send update if enough time has passed for target FPS
+            if (currentTime - state.lastFrameTime >= frameDelay) {
+                state.onExplored(visitedForUpdate.slice());
+                visitedForUpdate.length = 0;
+                lastUpdateCount = count;
+                state.lastFrameTime = currentTime;
+                
+                // Wait for next frame to maintain target FPS
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        const uDist = distances[u];
+        const currentElevation = elevationGrid[u] === WATER_ELEVATION ? waterSurfaceElevation : elevationGrid[u];
+        const ux = u % width;
+        const uy = (u - ux) / width;
+        let stepBase = uy * 9;
+        if (!stepLengthsByRow) {
+            fillStepLengths(stepLengths, 0, stepOffsets, getLatitudeScale(state, ux, uy));
+            stepBase = 0;
+        }
+
+        // Inline 8-directional neighbour iteration: no per-node allocations
+        for (let dy = -1; dy <= 1; dy++) {
+            const ny = uy + dy;
+            if (ny < 0 || ny >= height) continue;
+
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dy === 0) continue;
+                const nx = ux + dx;
+                if (nx < 0 || nx >= width) continue;
+
+                const v = ny * width + nx;
+            
+                // Skip if already settled (major optimization for high-cost areas)
+                if (stamps[v] === closedMark) {
+                    continue;
+                }
+            
+                const neighborElevation = elevationGrid[v];
+                const stepLength = stepLengths[stepBase + (dy + 1) * 3 + dx + 1];
+
+                let moveCost;
+
+                // Step 1: Calculate the base cost from terrain, regardless of roads.
+                if (neighborElevation === WATER_ELEVATION) {
+                    // Water/river cost varies by region (from the cost model)
+                    moveCost = waterCost;
+                } 
+                else {
+                    const baseCost = 1.0;
+                    // Region-specific terrain factors come from the cost model
+
+                    // New logic: higher 'r' value (lighter color) means higher elevation.
+                    // elevationDiff > 0 is uphill, < 0 is downhill. On DEM regions it is the grade in percent.
+                    let elevationDiff = currentElevation === null ? 0 : neighborElevation - currentElevation;
+                    if (gradeScale !== null) {
+                        elevationDiff *= gradeScale / stepLength;
+                    }
+
+                    if (elevationDiff > 0) { // Uphill
+                        moveCost = baseCost + uphillFactor * elevationDiff;
+                    } else { // Downhill or flat
+                        // elevationDiff is negative or zero, so this applies a discount
+                        moveCost = baseCost + downhillFactor * elevationDiff;
+                    }
+                
+                    // Ensure cost is never zero or negative
+                    moveCost = Math.max(minMoveCost, moveCost);
+                }
+
+                // Step 2: If a road exists, apply an efficiency discount.
+                const usageCount = roadUsageGrid[v];
+                if (usageCount > 0) {
+                    const actualUses = Math.min(usageCount, roadMaxUses);
+                    const efficiency = actualUses * roadDiscountPerUse; // 0.00625 to 0.30 by default
+                    moveCost *= (1 - efficiency); // Apply discount
+                }
+
+                // Step 3: Apply a "city buff" using the pre-calculated influence grid.
+                const cityDistance = cityInfluenceGrid[v];
+                if (cityDistance < cityBuffDistance) { // Limited by cityInfluenceRadius used in the pre-calculation
+                    moveCost *= (1 - cityBuffFactor);
+                }
+
+
+                // Step 4: Account for the ground length of the step: diagonals are longer, and
+                // east-west steps shorten with cos(latitude).
+                moveCost *= stepLength;
+
+                const newDist = uDist + moveCost;
+                const vDist = stamps[v] === seenMark ? distances[v] : Infinity;
+            
+                // More conservative high-cost filtering to prevent getting stuck
+                if (moveCost >= highCostThreshold && vDist !== Infinity && newDist > vDist * 1.05) {
+                    continue;
+                }
+
+                if (newDist < vDist) {
+                    distances[v] = newDist;
+                    predecessors[v] = u;
+                    stamps[v] = seenMark;
+                    heap.push(v, useAStar ? newDist + heuristic(v) : newDist); // Inserts, or decreases the key
+                }
+            }
+        }
+    }
+
+    // This should never be reached since paths always exist
+}
+
+function updateCostGridWithRoad(state, path) {
+    const { roadUsageGrid } = state.map;
+    if (!roadUsageGrid) {
+        console.warn('Road usage grid not available for update.');
+        return;
+    }
+
+    for (const pixelIndex of path) {
+        if (roadUsageGrid[pixelIndex] < 65535) { // Prevent overflow
+            roadUsageGrid[pixelIndex]++;
+        }
+    }
+}
+
+// Rasterise the LineStrings and MultiLineStrings of a GeoJSON file (lon/lat) into 8-connected pixel
+// paths through the world file. Lines are cut where they leave the map.
+function rasterizeRoadLines(state, geojson) {
+    const { width, height } = state.map;
+    const features = geojson.type === 'FeatureCollection' ? geojson.features
+        : geojson.type === 'Feature' ? [geojson]
+        : [{ geometry: geojson }];
+
+    const lines = [];
+    let skippedFeatures = 0;
+    features.forEach(feature => {
+        const geometry = feature && feature.geometry;
+        if (geometry && geometry.type === 'LineString') {
+            lines.push(geometry.coordinates);
+        } else if (geometry && geometry.type === 'MultiLineString') {
+            lines.push(...geometry.coordinates);
+        } else {
+            skippedFeatures++;
+        }
+    });
+
+    const paths = [];
+    lines.forEach(coordinates => {
+        let current = [];
+        const endPiece = () => {
+            if (current.length > 1) paths.push(current);
+            current = [];
+        };
+        const visit = (x, y) => {
+            if (x < 0 || x >= width || y < 0 || y >= height) {
+                endPiece();
+                return;
+            }
+            const pixelIndex = y * width + x;
+            if (current[current.length - 1] !== pixelIndex) current.push(pixelIndex);
+        };
+
+        let previous = null;
+        coordinates.forEach(([lon, lat]) => {
+            const point = lonLatToPixel(state, lon, lat);
+            const x = Math.round(point.x);
+            const y = Math.round(point.y);
+            if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+            if (!previous) {
+                visit(x, y);
+            } else {
+                // Bresenham, skipping the start pixel the previous segment already visited
+                const dx = Math.abs(x - previous.x);
+                const dy = -Math.abs(y - previous.y);
+                const stepX = previous.x < x ? 1 : -1;
+                const stepY = previous.y < y ? 1 : -1;
+                let error = dx + dy;
+                let px = previous.x;
+                let py = previous.y;
+                while (px !== x || py !== y) {
+                    const doubled = 2 * error;
+                    if (doubled >= dy) {
+                        error += dy;
+                        px += stepX;
+                    }
+                    if (doubled <= dx) {
+                        error += dx;
+                        py += stepY;
+                    }
+                    visit(px, py);
+                }
+            }
+            previous = { x, y };
+        });
+        endPiece();
+    });
+
+    return { paths, lineCount: lines.length, skippedFeatures };
+}
+
+// Lay the imported roads onto the usage grid: each of their pixels gains the import weight once
+function applyBaseRoads(state) {
+    const { roadUsageGrid } = state.map;
+    if (!state.baseRoads || !roadUsageGrid) return 0;
+
+    const { paths, weight } = state.baseRoads;
+    const seen = new Set();
+    paths.forEach(path => path.forEach(pixelIndex => {
+        if (seen.has(pixelIndex)) return;
+        seen.add(pixelIndex);
+        roadUsageGrid[pixelIndex] = Math.min(65535, roadUsageGrid[pixelIndex] + weight);
+    }));
+    return seen.size;
+}
+
+// Usage of each path pixel before the road is added
+function getPathUsage(state, path) {
+    return path.map(pixelIndex => ({
+        index: pixelIndex,
+        usage: state.map.roadUsageGrid[pixelIndex] || 0
+    }));
+}
+
+// Douglas-Peucker on a pixel path: the positions in the path of the vertices to keep, so values
+// aligned with the path (like usage) can be picked alongside. A tolerance of 0 keeps every pixel.
+function simplifyPath(state, path, tolerance) {
+    if (!(tolerance > 0) || path.length <= 2) {
+        return path.map((_, i) => i);
+    }
+    const { width } = state.map;
+    const xs = path.map(pixelIndex => pixelIndex % width);
+    const ys = path.map(pixelIndex => Math.floor(pixelIndex / width));
+
+    const keep = new Uint8Array(path.length);
+    keep[0] = 1;
+    keep[path.length - 1] = 1;
+    const stack = [[0, path.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const dx = xs[last] - xs[first];
+        const dy = ys[last] - ys[first];
+        const segmentLength = Math.hypot(dx, dy);
+        let farthest = -1;
+        let maxDistance = tolerance;
+        for (let i = first + 1; i < last; i++) {
+            // Distance to the line through first and last; to first itself when the path loops back
+            const distance = segmentLength > 0
+                ? Math.abs(dy * (xs[i] - xs[first]) - dx * (ys[i] - ys[first])) / segmentLength
+                : Math.hypot(xs[i] - xs[first], ys[i] - ys[first]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+        if (farthest !== -1) {
+            keep[farthest] = 1;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+
+    const kept = [];
+    keep.forEach((flag, i) => {
+        if (flag) kept.push(i);
+    });
+    return kept;
+}
+
+// Options: tolerance - simplify the exported lines; lengths and usage still come from every pixel
+function buildNetworkGeoJSON(state, paths, { tolerance = 0 } = {}) {
+    const { width } = state.map;
+
+    const features = paths.map(({ path, usage, startCity, endCity, efficiency }) => {
+        const vertices = simplifyPath(state, path, tolerance);
+        const coordinates = vertices.map(i => {
+            const { lon, lat } = pixelToLonLat(state, path[i] % width, Math.floor(path[i] / width));
+            return [Number(lon.toFixed(6)), Number(lat.toFixed(6))];
+        });
+
+        const usageSum = usage.reduce((sum, count) => sum + count, 0);
+
+        return {
+            type: 'Feature',
+            properties: {
+                start_city: startCity,
+                end_city: endCity,
+                length_px: Number(calculateGeometricLength(state, path).toFixed(2)),
+                length_km: Number(calculateGroundLength(state, path).toFixed(3)),
+                efficiency: efficiency != null ? Number(efficiency.toFixed(4)) : null,
+                usage_max: usage.length > 0 ? Math.max(...usage) : 0,
+                usage_mean: usage.length > 0 ? Number((usageSum / usage.length).toFixed(2)) : 0,
+                usage_counts: vertices.map(i => usage[i]) // Per-vertex usage, aligned with the coordinates
+            },
+            geometry: {
+                type: 'LineString',
+                coordinates
+            }
+        };
+    });
+
+    return {
+        type: 'FeatureCollection',
+        name: `${state.currentRegion}_network`,
+        crs: { type: 'name', properties: { name: 'urn:ogc:def:crs:OGC:1.3:CRS84' } },
+        simulation: {
+            region: state.currentRegion,
+            seed: state.seed,
+            costModel: state.costModel,
+            searchAlgorithm: state.searchAlgorithm,
+            simplifyTolerance: tolerance
+        },
+        features
+    };
+}
+
+// Vectorise the road network into a graph. Pixels are linked where consecutive in a path, and a
+// node sits wherever the chain is not a plain run of road: path ends, junctions (degree other than
+// 2) and pixels that cities snap onto. Edges follow the pixels between nodes, with their usage read
+// from roadUsageGrid as the fewest paths on any pixel of the edge.
+function buildRoadGraph(state, paths, { snapRadius = 5, tolerance = 0 } = {}) {
+    const { width, height, roadUsageGrid } = state.map;
+    const toLonLat = pixelIndex => {
+        const { lon, lat } = pixelToLonLat(state, pixelIndex % width, Math.floor(pixelIndex / width));
+        return [Number(lon.toFixed(6)), Number(lat.toFixed(6))];
+    };
+
+    const links = new Map(); // Pixel -> Set of linked pixels
+    const link = (u, v) => {
+        if (!links.has(u)) links.set(u, new Set());
+        links.get(u).add(v);
+    };
+    const endpoints = new Set();
+    paths.forEach(path => {
+        if (path.length === 0) return;
+        endpoints.add(path[0]);
+        endpoints.add(path[path.length - 1]);
+        if (!links.has(path[0])) links.set(path[0], new Set()); // A one-pixel path is still a node
+        for (let i = 1; i < path.length; i++) {
+            if (path[i] === path[i - 1]) continue;
+            link(path[i - 1], path[i]);
+            link(path[i], path[i - 1]);
+        }
+    });
+
+    // Snap every city to the nearest road pixel within the radius
+    const snappedCities = new Map(); // Pixel -> city names
+    state.cities.forEach(city => {
+        const cityX = Math.round(city.x);
+        const cityY = Math.round(city.y);
+        let nearest = -1;
+        let nearestDistanceSq = Infinity;
+        for (let y = Math.max(0, cityY - snapRadius); y <= Math.min(height - 1, cityY + snapRadius); y++) {
+            for (let x = Math.max(0, cityX - snapRadius); x <= Math.min(width - 1, cityX + snapRadius); x++) {
+                const distanceSq = (x - cityX) ** 2 + (y - cityY) ** 2;
+                if (distanceSq <= snapRadius * snapRadius && distanceSq < nearestDistanceSq && links.has(y * width + x)) {
+                    nearest = y * width + x;
+                    nearestDistanceSq = distanceSq;
+                }
+            }
+        }
+        if (nearest !== -1) {
+            if (!snappedCities.has(nearest)) snappedCities.set(nearest, []);
+            snappedCities.get(nearest).push(city.name);
+        }
+    });
+
+    const nodes = [];
+    const nodeIds = new Map(); // Pixel -> node id
+    const degree = pixel => links.get(pixel).size;
+    const addNode = pixel => {
+        nodeIds.set(pixel, nodes.length);
+        const [lon, lat] = toLonLat(pixel);
+        nodes.push({
+            id: nodes.length,
+            pixel,
+            x: pixel % width,
+            y: Math.floor(pixel / width),
+            lon,
+            lat,
+            degree: degree(pixel),
+            cities: snappedCities.get(pixel) || []
+        });
+    };
+    links.forEach((neighbours, pixel) => {
+        if (degree(pixel) !== 2 || endpoints.has(pixel) || snappedCities.has(pixel)) {
+            addNode(pixel);
+        }
+    });
+
+    // Walk from each node along every link not walked yet, up to the next node
+    const edges = [];
+    const walked = new Set(); // Directed pixel links already part of an edge, as u * size + v
+    const size = width * height;
+    const traceEdges = fromPixel => {
+        links.get(fromPixel).forEach(firstStep => {
+            if (walked.has(fromPixel * size + firstStep)) return;
+            const pixels = [fromPixel];
+            let previous = fromPixel;
+            let current = firstStep;
+            for (;;) {
+                walked.add(previous * size + current);
+                walked.add(current * size + previous);
+                pixels.push(current);
+                if (nodeIds.has(current)) break;
+                const next = [...links.get(current)].find(pixel => pixel !== previous);
+                previous = current;
+                current = next;
+            }
+            let usage = Infinity;
+            pixels.forEach(pixel => { usage = Math.min(usage, roadUsageGrid[pixel]); });
+            edges.push({
+                id: edges.length,
+                source: nodeIds.get(fromPixel),
+                target: nodeIds.get(current),
+                length: Number(calculateGeometricLength(state, pixels).toFixed(2)),
+                lengthKm: Number(calculateGroundLength(state, pixels).toFixed(3)),
+                usage,
+                pixels: pixels.length,
+                coordinates: simplifyPath(state, pixels, tolerance).map(i => toLonLat(pixels[i]))
+            });
+        });
+    };
+    nodes.slice().forEach(node => traceEdges(node.pixel));
+
+    // Loops with no junction on them are left over; give each one a node to start from
+    links.forEach((neighbours, pixel) => {
+        if (nodeIds.has(pixel) || [...neighbours].every(neighbour => walked.has(pixel * size + neighbour))) return;
+        addNode(pixel);
+        traceEdges(pixel);
+    });
+
+    const snappedCount = [...snappedCities.values()].reduce((sum, names) => sum + names.length, 0);
+    state.log(`🕸️ Road graph: ${nodes.length} nodes, ${edges.length} edges, ${snappedCount}/${state.cities.length} cities snapped`);
+
+    return {
+        region: state.currentRegion,
+        width,
+        height,
+        snapRadius,
+        simplifyTolerance: tolerance,
+        nodes,
+        edges
+    };
+}
+
+function seedRandom(state, seed) {
+    state.seed = seed >>> 0;
+    state.rngState = state.seed;
+}
+
+// Mulberry32: small, fast and fully determined by the 32-bit rngState, so runs can be reproduced and resumed
+function seededRandom(state) {
+    state.rngState = (state.rngState + 0x6D2B79F5) >>> 0;
+    let t = state.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function weightedRandom(state, items) {
+    const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+    let random = seededRandom(state) * totalWeight;
+
+    for (const item of items) {
+        if (random < item.weight) {
+            return item.item;
+        }
+        random -= item.weight;
+    }
+    return items[items.length - 1].item;
+}
+
+function pickStartCity(state) {
+    if (!state.cities || state.cities.length === 0) {
+        return null;
+    }
+    
+    const weightedCities = state.cities.map(city => ({
+        item: city,
+        weight: city.population || 1 // Ensure no zero weights
+    }));
+    
+    const selected = weightedRandom(state, weightedCities);
+    state.log(`Selected start city: ${selected?.name} (pop: ${selected?.population})`);
+    return selected;
+}
+
+function pickEndCity(state, startCity) {
+    if (!startCity || !state.cities || state.cities.length < 2) {
+        return null;
+    }
+    
+    const weightedCities = state.cities
+        .filter(city => city.name !== startCity.name)
+        .map(city => {
+            // Ground distance in km, so pairs are not skewed towards high latitudes where pixels are narrower.
+            // Add 1 to avoid division by zero
+            const distance = groundDistanceKm(startCity.lon, startCity.lat, city.lon, city.lat) + 1;
+
+            // Favor population, but penalize distance.
+            // The distance penalty is softened (sqrt) to allow for some long-distance connections.
+            const population = city.population || 1; // Ensure no zero populations
+            const weight = population / Math.sqrt(distance);
+
+            return { item: city, weight };
+        });
+    
+    if (weightedCities.length === 0) return null;
+    
+    const selected = weightedRandom(state, weightedCities);
+    state.log(`Selected end city: ${selected?.name} (pop: ${selected?.population})`);
+    return selected;
+}
+
+// Debug overlays: RGBA images of the grids behind the search, one pixel per map pixel
+const OVERLAY_MODES = ['hillshade', 'elevation', 'water', 'cityInfluence', 'moveCost'];
+
+// Colour stops [position 0-1, [r, g, b]]
+const ELEVATION_RAMP = [[0, [36, 110, 50]], [0.3, [150, 190, 90]], [0.6, [220, 200, 120]], [0.85, [150, 100, 60]], [1, [255, 255, 255]]];
+const MOVE_COST_RAMP = [[0, [40, 160, 60]], [0.5, [250, 220, 50]], [1, [200, 30, 30]]];
+
+// 256-entry RGB lookup table for a ramp, so overlays don't interpolate per pixel
+function buildRampTable(stops) {
+    const table = new Uint8ClampedArray(256 * 3);
+    let upper = 1;
+    for (let i = 0; i < 256; i++) {
+        const t = i / 255;
+        while (upper < stops.length - 1 && stops[upper][0] < t) {
+            upper++;
+        }
+        const [position0, color0] = stops[upper - 1];
+        const [position1, color1] = stops[upper];
+        const f = Math.min(1, Math.max(0, (t - position0) / (position1 - position0)));
+        for (let c = 0; c < 3; c++) {
+            table[i * 3 + c] = color0[c] + (color1[c] - color0[c]) * f;
+        }
+    }
+    return table;
+}
+
+function renderOverlayPixels(state, mode) {
+    const { width, height } = state.map;
+    const pixels = new Uint8ClampedArray(width * height * 4); // Transparent unless set
+    if (mode === 'hillshade') {
+        renderHillshade(state, pixels);
+    } else if (mode === 'elevation') {
+        renderElevationRamp(state, pixels);
+    } else if (mode === 'water') {
+        renderWater(state, pixels);
+    } else if (mode === 'cityInfluence') {
+        renderCityInfluence(state, pixels);
+    } else if (mode === 'moveCost') {
+        renderMoveCost(state, pixels);
+    } else {
+        throw new Error(`Unknown overlay mode: ${mode}`);
+    }
+    return pixels;
+}
+
+// Opaque shaded relief for regions that only come with a DEM: the elevation ramp darkened by
+// the hillshade, with water drawn over it
+function renderBaseMapPixels(state) {
+    const pixels = renderOverlayPixels(state, 'elevation');
+    const shade = renderOverlayPixels(state, 'hillshade');
+    for (let p = 0; p < pixels.length; p += 4) {
+        const light = 0.35 + 0.65 * shade[p] / 255;
+        pixels[p] *= light;
+        pixels[p + 1] *= light;
+        pixels[p + 2] *= light;
+    }
+    renderWater(state, pixels);
+    return pixels;
+}
+
+// Horn's method with the sun in the north-west, 45 degrees up. Water stays transparent.
+function renderHillshade(state, pixels) {
+    const { width, height, elevationGrid, elevationUnit } = state.map;
+    // Exaggerate relief: the greyscale levels are coarse relative to the pixel size. DEM metres are
+    // set against the pixel width in metres (about 111 km per degree), then exaggerated 5 times.
+    const zFactor = elevationUnit === 'm' && state.pgw ? 5 / (Math.abs(state.pgw.a) * 111320) : 2;
+    const zenith = Math.PI / 4;
+    const azimuth = (360 - 315 + 90) * Math.PI / 180;
+
+    // Neighbours in water count as level with the centre; the map edge repeats the border pixels
+    const z = (index, center) => {
+        const value = elevationGrid[index];
+        return value === WATER_ELEVATION ? center : value;
+    };
+
+    for (let y = 0; y < height; y++) {
+        const up = Math.max(0, y - 1) * width;
+        const row = y * width;
+        const down = Math.min(height - 1, y + 1) * width;
+        for (let x = 0; x < width; x++) {
+            const center = elevationGrid[row + x];
+            if (center === WATER_ELEVATION) continue;
+            const left = Math.max(0, x - 1);
+            const right = Math.min(width - 1, x + 1);
+
+            const dzdx = ((z(up + right, center) + 2 * z(row + right, center) + z(down + right, center)) -
+                (z(up + left, center) + 2 * z(row + left, center) + z(down + left, center))) / 8;
+            const dzdy = ((z(down + left, center) + 2 * z(down + x, center) + z(down + right, center)) -
+                (z(up + left, center) + 2 * z(up + x, center) + z(up + right, center))) / 8;
+            const slope = Math.atan(zFactor * Math.hypot(dzdx, dzdy));
+            const aspect = Math.atan2(dzdy, -dzdx);
+            const shade = Math.cos(zenith) * Math.cos(slope) + Math.sin(zenith) * Math.sin(slope) * Math.cos(azimuth - aspect);
+
+            const p = (row + x) * 4;
+            pixels[p] = pixels[p + 1] = pixels[p + 2] = 255 * Math.max(0, shade);
+            pixels[p + 3] = 255;
+        }
+    }
+}
+
+function renderElevationRamp(state, pixels) {
+    const { elevationGrid } = state.map;
+    const table = buildRampTable(ELEVATION_RAMP);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < elevationGrid.length; i++) {
+        if (elevationGrid[i] === WATER_ELEVATION) continue;
+        min = Math.min(min, elevationGrid[i]);
+        max = Math.max(max, elevationGrid[i]);
+    }
+    const scale = 255 / Math.max(1, max - min);
+
+    for (let i = 0; i < elevationGrid.length; i++) {
+        if (elevationGrid[i] === WATER_ELEVATION) continue;
+        const t = Math.round((elevationGrid[i] - min) * scale) * 3;
+        const p = i * 4;
+        pixels[p] = table[t];
+        pixels[p + 1] = table[t + 1];
+        pixels[p + 2] = table[t + 2];
+        pixels[p + 3] = 255;
+    }
+}
+
+function renderWater(state, pixels) {
+    const { elevationGrid } = state.map;
+    for (let i = 0; i < elevationGrid.length; i++) {
+        if (elevationGrid[i] !== WATER_ELEVATION) continue;
+        const p = i * 4;
+        pixels[p] = 0;
+        pixels[p + 1] = 90;
+        pixels[p + 2] = 255;
+        pixels[p + 3] = 255;
+    }
+}
+
+// Fades out with distance from the city; pixels that get the city buff are magenta, the rest purple
+function renderCityInfluence(state, pixels) {
+    const { cityInfluenceGrid } = state.map;
+    const { cityInfluenceRadius, cityBuffDistance } = state.costModel;
+    for (let i = 0; i < cityInfluenceGrid.length; i++) {
+        const distance = cityInfluenceGrid[i];
+        if (distance === Infinity) continue;
+        const p = i * 4;
+        pixels[p] = distance < cityBuffDistance ? 255 : 120;
+        pixels[p + 1] = 0;
+        pixels[p + 2] = 255;
+        pixels[p + 3] = 255 * (1 - 0.75 * distance / Math.max(1, cityInfluenceRadius));
+    }
+}
+
+// Cost of a straight move from u onto v under the current cost model and road network.
+// Mirrors steps 1-3 of the search loop in searchPath, which keeps its own inlined copy for speed.
+// stepLength is the move's ground length in unit pixels, which sets the grade on DEM regions.
+function getMoveCost(state, u, v, stepLength = 1) {
+    const { elevationGrid, roadUsageGrid, cityInfluenceGrid, waterSurfaceElevation } = state.map;
+    const {
+        waterCost, uphillFactor, downhillFactor, minMoveCost,
+        roadMaxUses, roadDiscountPerUse, cityBuffDistance, cityBuffFactor
+    } = state.costModel;
+
+    let moveCost;
+    if (elevationGrid[v] === WATER_ELEVATION) {
+        moveCost = waterCost;
+    } else {
+        const fromElevation = elevationGrid[u] === WATER_ELEVATION ? waterSurfaceElevation : elevationGrid[u];
+        const gradeScale = getGradeScale(state);
+        let elevationDiff = fromElevation === null ? 0 : elevationGrid[v] - fromElevation;
+        if (gradeScale !== null) {
+            elevationDiff *= gradeScale / stepLength;
+        }
+        moveCost = 1.0 + (elevationDiff > 0 ? uphillFactor : downhillFactor) * elevationDiff;
+        moveCost = Math.max(minMoveCost, moveCost);
+    }
+    if (roadUsageGrid[v] > 0) {
+        moveCost *= 1 - Math.min(roadUsageGrid[v], roadMaxUses) * roadDiscountPerUse;
+    }
+    if (cityInfluenceGrid[v] < cityBuffDistance) {
+        moveCost *= 1 - cityBuffFactor;
+    }
+    return moveCost;
+}
+
+// Mean cost of entering each pixel from its four straight neighbours, on a log colour scale
+function renderMoveCost(state, pixels) {
+    const { width, height } = state.map;
+    const costs = new Float32Array(width * height);
+    let maxCost = 0;
+    // Step lengths at each pixel's latitude, indexed as in searchPath
+    const { byRow, lengths, offsets } = createStepLengths(state);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const v = y * width + x;
+            let base = y * 9;
+            if (!byRow) {
+                fillStepLengths(lengths, 0, offsets, getLatitudeScale(state, x, y));
+                base = 0;
+            }
+            let total = 0;
+            let count = 0;
+            if (x > 0) { total += getMoveCost(state, v - 1, v, lengths[base + 5]); count++; }
+            if (x < width - 1) { total += getMoveCost(state, v + 1, v, lengths[base + 3]); count++; }
+            if (y > 0) { total += getMoveCost(state, v - width, v, lengths[base + 7]); count++; }
+            if (y < height - 1) { total += getMoveCost(state, v + width, v, lengths[base + 1]); count++; }
+            costs[v] = count > 0 ? total / count : 0;
+            maxCost = Math.max(maxCost, costs[v]);
+        }
+    }
+
+    const table = buildRampTable(MOVE_COST_RAMP);
+    const scale = 255 / (Math.log(1 + maxCost) || 1);
+    for (let i = 0; i < costs.length; i++) {
+        const t = Math.round(Math.log(1 + costs[i]) * scale) * 3;
+        const p = i * 4;
+        pixels[p] = table[t];
+        pixels[p + 1] = table[t + 1];
+        pixels[p + 2] = table[t + 2];
+        pixels[p + 3] = 255;
+    }
+}
+
+// One headless simulation step: pick a city pair, find the route and lay the road.
+// Returns null when no valid pair or path was found.
+async function simulateNextPath(state) {
+    const startCity = pickStartCity(state);
+    const endCity = pickEndCity(state, startCity);
+    if (!startCity || !endCity) {
+        return null;
+    }
+
+    const result = await findPath(state, startCity, endCity, { quiet: true });
+    if (!result) {
+        return null;
+    }
+
+    const { path } = result;
+    const pathWithUsage = getPathUsage(state, path);
+    updateCostGridWithRoad(state, path);
+    return { ...result, pathWithUsage, startCity, endCity };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_COST_MODEL,
+        DEM_COST_MODEL,
+        WATER_ELEVATION,
+        getCostModelError,
+        sanitizeCostModel,
+        createSimulationState,
+        parsePgw,
+        validateWorldFile,
+        lonLatToPixel,
+        pixelToLonLat,
+        setRegionCities,
+        removeCitiesOutsideMap,
+        createCostGrid,
+        waterMaskFromRaster,
+        createDemCostGrid,
+        createCityInfluenceGrid,
+        IndexedMinHeap,
+        calculateGeometricLength,
+        KM_PER_DEGREE,
+        getUnitPixelKm,
+        getLatitudeScale,
+        getGroundOffsetLength,
+        calculateGroundLength,
+        groundDistanceKm,
+        findNearestCity,
+        findPath,
+        updateCostGridWithRoad,
+        getPathUsage,
+        rasterizeRoadLines,
+        applyBaseRoads,
+        simplifyPath,
+        buildNetworkGeoJSON,
+        buildRoadGraph,
+        OVERLAY_MODES,
+        renderOverlayPixels,
+        renderBaseMapPixels,
+        getMoveCost,
+        seedRandom,
+        seededRandom,
+        pickStartCity,
+        pickEndCity,
+        simulateNextPath
+    };
+}